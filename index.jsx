@@ -1,18 +1,24 @@
 'use strict';
 
+import Accordion, { AccordionBody, AccordionHeader, AccordionItem } from './lib/components/accordion';
 import Action, { ActionInner } from './lib/components/action';
 import Alert, { AlertFlash, AlertHeading, AlertLink, AlertMessage } from './lib/components/alert';
+import Autocomplete from './lib/components/autocomplete';
 import Badge from './lib/components/badge';
 import Breadcrumb, { BreadcrumbItem } from './lib/components/breadcrumb';
 import Button, { ButtonAction, ButtonActionItem, ButtonDropdown, ButtonGroup, ButtonIcon, ButtonToolbar, ButtonTooltip } from './lib/components/button';
+import Calendar from './lib/components/calendar';
 import Card, { CardBody, CardColumns, CardDeck, CardFooter, CardGroup, CardHeader, CardImage, CardOverlay, CardLink, CardSubtitle, CardText, CardTitle } from './lib/components/card';
 import Carousel, { CarouselCaption, CarouselCaptionHeader, CarouselCaptionText, CarouselControls, CarouselIndicators, CarouselInner, CarouselItem } from './lib/components/carousel';
 import Code from './lib/components/code';
 import Column from './lib/components/column';
 import Collapse from './lib/components/collapse';
 import Container from './lib/components/container';
+import DatePicker from './lib/components/datepicker';
+import DialogProvider, { dialog } from './lib/components/dialog';
 import Dropdown, { DropdownItem, DropdownInner, DropdownToggle } from './lib/components/dropdown';
-import Form, { FormFeedback, FormGroup, FormText } from './lib/components/form';
+import FileDrop from './lib/components/filedrop';
+import Form, { FieldArray, FormFeedback, FormGroup, FormText } from './lib/components/form';
 import Icon, { FontAwesome, IconCard, IconCheckers, IconChess, IconDice, IconDomino, IconMahjong, IconZodiac } from './lib/components/icon';
 import Input, { InputGroup, InputGroupAddon, InputGroupButton } from './lib/components/input';
 import Jumbotron from './lib/components/jumbotron';
@@ -20,47 +26,65 @@ import Label from './lib/components/label';
 import Layer from './lib/components/layer';
 import ListGroup, { ListGroupItem, ListGroupItemHeading, ListGroupItemText } from './lib/components/listgroup';
 import Media, { MediaBody } from './lib/components/media';
+import Modal, { ModalConfirm, ModalContent } from './lib/components/modal';
+import MultiSelect from './lib/components/multiselect';
 import Nav, { NavDropdown, NavLink, NavItem, NavMenu } from './lib/components/nav';
 import Navbar, { NavbarBrand, NavbarMenu, NavbarToggler, NavbarText } from './lib/components/navbar';
+import NotificationCenter, { notification } from './lib/components/notification';
 import Pagination, { PageItem, PageLink } from './lib/components/pagination';
 import Popover, { PopoverBody, PopoverHeader, PopoverInner, PopoverToggle } from './lib/components/popover';
+import Portal, { OverlayContainer } from './lib/components/portal';
 import Progress, { ProgressBar } from './lib/components/progress';
 import Row from './lib/components/row';
+import SchemaForm, { SchemaField } from './lib/components/schemaform';
 import Sidebar, { SidebarMenu, SidebarItem } from './lib/components/sidebar';
+import Slider from './lib/components/slider';
 import Switch from './lib/components/switch';
-import Table from './lib/components/table';
+import Table, { DataTable } from './lib/components/table';
 import Tabs, { TabPane } from './lib/components/tabs';
 import Tag from './lib/components/tag';
+import TimePicker, { DateTimePicker } from './lib/components/timepicker';
+import ToastProvider, { toast } from './lib/components/toast';
 import Tooltip, { TooltipBody, TooltipInner, TooltipToggle } from './lib/components/tooltip';
+import Virtual from './lib/components/virtual';
 
 import Transition from './lib/components/transition';
 import Fade from './lib/components/transition/fade';
 
 let _exports = module.exports = { 
-    Action, Alert, Badge, Breadcrumb, Button, Card, Carousel, Code, Column, Collapse, 
-    Container, Dropdown, Form, Icon, Input, Jumbotron, Label, Layer, ListGroup, Media, 
-    Nav, Navbar, Pagination, Popover, Progress, Row, Sidebar, Switch, Table, Tabs, Tag, Tooltip
+    Accordion, Action, Alert, Autocomplete, Badge, Breadcrumb, Button, Calendar, Card, Carousel, Code, Column, Collapse, 
+    Container, DatePicker, DialogProvider, Dropdown, FileDrop, Form, Icon, Input, Jumbotron, Label, Layer, ListGroup, Media, 
+    Modal, MultiSelect, Nav, Navbar, NotificationCenter, Pagination, Popover, Portal, Progress, Row, SchemaForm, Sidebar, Slider, Switch, Table, Tabs, Tag, TimePicker, ToastProvider, Tooltip, Virtual
 };
 
+Object.assign(_exports, { AccordionBody, AccordionHeader, AccordionItem });
 Object.assign(_exports, { ActionInner });
 Object.assign(_exports, { AlertFlash, AlertHeading, AlertLink, AlertMessage });
 Object.assign(_exports, { BreadcrumbItem });
 Object.assign(_exports, { ButtonAction, ButtonActionItem, ButtonDropdown, ButtonGroup, ButtonIcon, ButtonToolbar, ButtonTooltip });
 Object.assign(_exports, { CardBody, CardColumns, CardDeck, CardFooter, CardGroup, CardHeader, CardImage, CardOverlay, CardLink, CardSubtitle, CardText, CardTitle });
 Object.assign(_exports, { CarouselCaption, CarouselCaptionHeader, CarouselCaptionText, CarouselControls, CarouselIndicators, CarouselInner, CarouselItem });
+Object.assign(_exports, { dialog });
 Object.assign(_exports, { DropdownItem, DropdownInner, DropdownToggle });
-Object.assign(_exports, { FormFeedback, FormGroup, FormText });
+Object.assign(_exports, { FieldArray, FormFeedback, FormGroup, FormText });
 Object.assign(_exports, { IconCard, IconCheckers, IconChess, IconDice, IconDomino, IconMahjong, IconZodiac });
 Object.assign(_exports, { InputGroup, InputGroupAddon, InputGroupButton });
 Object.assign(_exports, { ListGroupItem, ListGroupItemHeading, ListGroupItemText });
 Object.assign(_exports, { MediaBody });
+Object.assign(_exports, { ModalConfirm, ModalContent });
 Object.assign(_exports, { NavDropdown, NavLink, NavItem, NavMenu });
 Object.assign(_exports, { NavbarBrand, NavbarMenu, NavbarToggler, NavbarText });
+Object.assign(_exports, { notification });
 Object.assign(_exports, { PageItem, PageLink });
 Object.assign(_exports, { PopoverBody, PopoverHeader, PopoverInner, PopoverToggle });
+Object.assign(_exports, { OverlayContainer });
 Object.assign(_exports, { ProgressBar });
+Object.assign(_exports, { SchemaField });
 Object.assign(_exports, { SidebarMenu, SidebarItem });
+Object.assign(_exports, { DataTable });
 Object.assign(_exports, { TabPane });
+Object.assign(_exports, { DateTimePicker });
+Object.assign(_exports, { toast });
 Object.assign(_exports, { TooltipBody, TooltipInner, TooltipToggle });
 
 Object.assign(_exports, { FontAwesome });
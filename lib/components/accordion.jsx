@@ -0,0 +1,231 @@
+'use strict';
+
+import React, { Children, Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import Card, { CardBody, CardHeader } from './card';
+import Collapse from './collapse';
+import Icon from './icon';
+import Tag from './tag';
+
+const keyCodes = { end: 35, home: 36, up: 38, down: 40 };
+
+const accordionContext = PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    line: PropTypes.bool,
+    isActive: PropTypes.func.isRequired,
+    toggle: PropTypes.func.isRequired,
+});
+
+const accordionItemContext = PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    active: PropTypes.bool.isRequired,
+    disabled: PropTypes.bool,
+    toggle: PropTypes.func.isRequired,
+});
+
+let count = 0;
+
+export default class Accordion extends Component {
+    static propTypes = {
+        ...Tag.propTypes,
+        multiple: PropTypes.bool,
+        active: PropTypes.any,
+        defaultActive: PropTypes.any,
+        line: PropTypes.bool,
+        onChange: PropTypes.func,
+    }
+
+    static defaultProps = {
+        tag: 'article',
+        multiple: false,
+        line: false,
+    }
+
+    static childContextTypes = {
+        accordion: accordionContext,
+    }
+
+    getChildContext = () => Object({
+        accordion: {
+            id: this.id,
+            line: this.props.line,
+            isActive: this.isActive,
+            toggle: this.toggle,
+        }
+    });
+
+    id = `accordion-${++count}`;
+    state = { active: this.props.defaultActive };
+
+    render() {
+        const { className, children, multiple, active, defaultActive, line, onChange, ...props } = this.props;
+        const classes = Classnames(className, 'accordion');
+
+        // Items without a name are told apart by their position.
+        return <Tag {...props} className={classes} pointer={this.setNode} onKeyDown={this.onKeyDown}>
+            {Children.map(children, (child, index) => child && child.type === AccordionItem && child.props.name === undefined
+                ? React.cloneElement(child, { name: index })
+                : child
+            )}
+        </Tag>
+    }
+
+    getActive = () => {
+        const active = this.props.active !== undefined ? this.props.active : this.state.active;
+        if (this.props.multiple) return [].concat(active === undefined || active === null ? [] : active);
+        return active;
+    }
+
+    isActive = name => {
+        const active = this.getActive();
+        return this.props.multiple ? active.indexOf(name) != -1 : active !== undefined && active === name;
+    }
+
+    toggle = name => {
+        let active;
+        if (this.props.multiple) {
+            const current = this.getActive();
+            active = current.indexOf(name) != -1 ? current.filter(other => other !== name) : [...current, name];
+        } else active = this.isActive(name) ? null : name;
+
+        if (this.props.active === undefined) this.setState({ active });
+        if (this.props.onChange) this.props.onChange(active);
+    }
+
+    // Only the headers of this accordion take part, nested ones keep their own navigation.
+    onKeyDown = event => {
+        if (this.props.onKeyDown) this.props.onKeyDown(event);
+        if (!this.node) return;
+
+        const headers = Array.prototype.slice.call(this.node.querySelectorAll(`[data-accordion="${this.id}"]`)).filter(header => !header.disabled);
+        const index = headers.indexOf(event.target);
+        if (index == -1) return;
+
+        let next;
+        switch (event.which) {
+            case keyCodes.up: next = (index - 1 + headers.length) % headers.length; break;
+            case keyCodes.down: next = (index + 1) % headers.length; break;
+            case keyCodes.home: next = 0; break;
+            case keyCodes.end: next = headers.length - 1; break;
+            default: return;
+        }
+        event.preventDefault();
+        headers[next].focus();
+    }
+
+    setNode = node => {
+        this.node = node;
+        if (this.props.pointer instanceof Function) this.props.pointer(node);
+    }
+}
+
+export class AccordionItem extends Component {
+    static propTypes = {
+        ...Card.propTypes,
+        name: PropTypes.any,
+        disabled: PropTypes.bool,
+    }
+
+    static contextTypes = {
+        accordion: accordionContext,
+    }
+
+    static childContextTypes = {
+        accordionItem: accordionItemContext,
+    }
+
+    getChildContext = () => Object({
+        accordionItem: {
+            id: `${this.context.accordion.id}-${this.index}`,
+            active: this.context.accordion.isActive(this.props.name),
+            disabled: this.props.disabled,
+            toggle: this.toggle,
+        }
+    });
+
+    index = ++count;
+
+    render() {
+        const { className, name, disabled, ...props } = this.props;
+        const active = this.context.accordion.isActive(name);
+        const classes = Classnames(className, 'accordion-item', { active, disabled });
+        return <Card {...props} className={classes} />
+    }
+
+    toggle = () => {
+        if (!this.props.disabled) this.context.accordion.toggle(this.props.name);
+    }
+}
+
+export class AccordionHeader extends Component {
+    static propTypes = {
+        ...Tag.propTypes,
+        caret: PropTypes.oneOfType([PropTypes.bool, PropTypes.func]),
+    }
+
+    static defaultProps = {
+        tag: 'h3',
+        caret: true,
+    }
+
+    static contextTypes = {
+        accordion: accordionContext,
+        accordionItem: accordionItemContext,
+    }
+
+    render() {
+        const { className, children, caret, onClick, ...props } = this.props;
+        const { accordion, accordionItem } = this.context;
+        const { id, active, disabled } = accordionItem;
+        const classes = Classnames(className, 'accordion-header');
+        const caretName = caret instanceof Function ? caret(active) : (active ? 'chevron-up' : 'chevron-down');
+
+        return <CardHeader {...props} className={classes}>
+            <button type="button" className={Classnames('accordion-button', { collapsed: !active })}
+                id={`${id}-header`}
+                data-accordion={accordion.id}
+                aria-expanded={active}
+                aria-controls={`${id}-body`}
+                aria-disabled={disabled || undefined}
+                disabled={disabled}
+                onClick={this.onClick}
+            >
+                {children}
+                {caret && <Icon name={caretName} className="accordion-caret" />}
+            </button>
+        </CardHeader>
+    }
+
+    onClick = event => {
+        if (this.props.onClick) this.props.onClick(event);
+        this.context.accordionItem.toggle();
+    }
+}
+
+export class AccordionBody extends Component {
+    static propTypes = {
+        ...Tag.propTypes,
+        transition: PropTypes.shape(Collapse.propTypes),
+    }
+
+    static contextTypes = {
+        accordion: accordionContext,
+        accordionItem: accordionItemContext,
+    }
+
+    render() {
+        const { className, transition, ...props } = this.props;
+        const { accordion, accordionItem } = this.context;
+        const { id, active } = accordionItem;
+        const classes = Classnames(className, 'accordion-body');
+
+        return <Collapse {...transition} className="accordion-collapse" active={active} line={accordion.line}
+            id={`${id}-body`}
+            role="region"
+            aria-labelledby={`${id}-header`}
+        >
+            <CardBody {...props} className={classes} />
+        </Collapse>
+    }
+}
@@ -28,9 +28,9 @@ export class AlertControlled extends Component {
         const { children, className, color, active, toggle, transition, style, ...props } = this.props;
         const classes = Classnames(className, 'alert', `alert-${color}`, { 'alert-dismissable': toggle });
 
-        return <Fade ref="transition" {...props} {...transition} className={classes} active={active} role="alert">
+        return <Fade ref="transition" role="alert" {...props} {...transition} className={classes} active={active}>
             {toggle && (
-                <button type="reset" className="close" onClick={toggle}>
+                <button type="reset" className="close" aria-label="Fermer" onClick={toggle}>
                     <Icon name="times" />
                 </button>
             )}
@@ -90,7 +90,11 @@ export class AlertFlash extends Component {
     }
 
     componentDidMount() {
-        setTimeout(this.toggle, this.props.delay);
+        this.timeout = setTimeout(this.toggle, this.props.delay);
+    }
+
+    componentWillUnmount() {
+        clearTimeout(this.timeout);
     }
 }
 
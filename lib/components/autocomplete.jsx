@@ -0,0 +1,291 @@
+'use strict';
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import Dropdown, { DropdownInner, DropdownItem } from './dropdown';
+import Input from './input';
+import { formContext, formGroupContext } from '../constants/proptypes';
+import { filterOptions, split, toOption } from '../utils/search';
+
+const keyCodes = { tab: 9, enter: 13, esc: 27, up: 38, down: 40 };
+const option = PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.shape({
+    value: PropTypes.any,
+    label: PropTypes.node,
+    disabled: PropTypes.bool,
+})]);
+
+let count = 0;
+
+export default class Autocomplete extends Component {
+    static propTypes = {
+        ...Input.propTypes,
+        options: PropTypes.oneOfType([PropTypes.arrayOf(option), PropTypes.func]).isRequired,
+        value: PropTypes.any,
+        defaultValue: PropTypes.any,
+        debounce: PropTypes.number,
+        minLength: PropTypes.number,
+        filter: PropTypes.func,
+        creatable: PropTypes.bool,
+        create: PropTypes.func,
+        empty: PropTypes.node,
+        loading: PropTypes.node,
+        onCreate: PropTypes.func,
+        onChange: PropTypes.func,
+        onError: PropTypes.func,
+    };
+
+    static defaultProps = {
+        debounce: 250,
+        minLength: 1,
+        filter: filterOptions,
+        creatable: false,
+        create: query => `Créer « ${query} »`,
+        empty: 'Aucun résultat',
+        loading: 'Chargement…',
+        register: true,
+    };
+
+    static contextTypes = {
+        form: formContext,
+        formGroup: formGroupContext,
+    };
+
+    id = `autocomplete-${++count}`;
+    state = { value: this.props.defaultValue, text: null, active: false, results: [], index: -1, loading: false };
+
+    render() {
+        const { className, options, value, defaultValue, debounce, minLength, filter, creatable, create, empty, loading, register, validate, messages, onCreate, onChange, onError, ...props } = this.props;
+        const { form, formGroup } = this.context;
+        const classes = Classnames(className, 'autocomplete');
+        const error = this.isRegistered() && form.isVisible(props.name) && form.getError(props.name);
+        const items = this.getItems();
+        const active = this.state.active && (items.length > 0 || this.state.loading || this.getQuery().length >= minLength);
+
+        let valid = props.valid;
+        if (valid === undefined && this.isRegistered() && form.isVisible(props.name)) valid = !error;
+
+        return <Dropdown controlled className={classes} active={active} toggle={this.close}>
+            <Input {...props} type="text" register={false} valid={valid} value={this.getText()} autoComplete="off"
+                pointer={this.setNode}
+                role="combobox"
+                aria-autocomplete="list"
+                aria-expanded={active}
+                aria-controls={`${this.id}-listbox`}
+                aria-activedescendant={active && this.state.index != -1 ? `${this.id}-option-${this.state.index}` : undefined}
+                aria-describedby={props['aria-describedby'] || (this.isRegistered() && formGroup ? `${formGroup.id}-feedback` : undefined)}
+                aria-invalid={error ? true : undefined}
+                onChange={this.onChange}
+                onBlur={this.onBlur}
+                onKeyDown={this.onKeyDown}
+            />
+            <DropdownInner className="autocomplete-menu" id={`${this.id}-listbox`} role="listbox" aria-busy={this.state.loading || undefined}>
+                {items.map(this.renderItem)}
+                {this.state.loading && <DropdownItem header role="presentation" aria-live="polite">{loading}</DropdownItem>}
+                {!this.state.loading && !items.length && <DropdownItem header role="presentation" aria-live="polite">{empty}</DropdownItem>}
+            </DropdownInner>
+        </Dropdown>
+    }
+
+    renderItem = (item, index) => {
+        const selected = index == this.state.index;
+        return <DropdownItem key={item.create ? `${this.id}-create` : index} id={`${this.id}-option-${index}`}
+            className={Classnames(item.create && 'autocomplete-create')}
+            role="option"
+            tabIndex={-1}
+            active={selected}
+            disabled={item.disabled}
+            aria-selected={selected}
+            aria-disabled={item.disabled || undefined}
+            onMouseDown={event => event.preventDefault()}
+            onMouseEnter={() => this.setState({ index })}
+            onClick={() => this.select(item)}>
+            {item.create ? this.props.create(item.value) : this.highlight(item.label)}
+        </DropdownItem>
+    }
+
+    highlight = label => {
+        if (typeof label != 'string') return label;
+        const [before, match, after] = split(label, this.getQuery());
+        if (match === undefined) return label;
+        return [before, <mark key="match" className="autocomplete-match">{match}</mark>, after];
+    }
+
+    componentWillMount() {
+        if (this.isRegistered() && this.context.formGroup) this.context.formGroup.setName(this.props.name);
+    }
+
+    componentDidMount() {
+        if (this.isRegistered()) this.register();
+    }
+
+    componentDidUpdate(props, state) {
+        if (this.state.index != state.index && this.state.index != -1) {
+            const item = document.getElementById(`${this.id}-option-${this.state.index}`);
+            if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+        }
+
+        if (!this.context.form || (props.name === this.props.name && props.register === this.props.register)) return;
+        if (props.name && props.register !== false) this.context.form.unregister(props.name, this);
+        if (this.isRegistered()) this.register();
+    }
+
+    componentWillUnmount() {
+        this.unmounted = true;
+        this.cancel();
+        if (this.isRegistered()) this.context.form.unregister(this.props.name, this);
+    }
+
+    isRegistered = () => !!(this.context.form && this.props.name && this.props.register !== false);
+    getRules = () => ({ required: this.props.required, validate: this.props.validate, messages: this.props.messages });
+
+    register = () => {
+        const { form } = this.context;
+        form.register(this.props.name, this);
+        if (this.props.value !== undefined) form.setValue(this.props.name, this.props.value, false);
+        else if (form.getValue(this.props.name) === undefined && this.props.defaultValue !== undefined) form.setValue(this.props.name, this.props.defaultValue, false);
+    }
+
+    getValue = () => {
+        if (this.props.value !== undefined) return this.props.value;
+        if (this.isRegistered()) return this.context.form.getValue(this.props.name);
+        return this.state.value;
+    }
+
+    setValue = (value, option) => {
+        if (this.isRegistered()) this.context.form.setValue(this.props.name, value);
+        else if (this.props.value === undefined) this.setState({ value });
+        if (this.props.onChange) this.props.onChange(value, option);
+    }
+
+    getQuery = () => this.state.text || '';
+
+    // The label of the value comes from the static options, or from the last picked one with an async source.
+    getText = () => {
+        if (this.state.text !== null) return this.state.text;
+        const value = this.getValue();
+        if (value === undefined || value === null) return '';
+        if (this.selected && this.selected.value === value) return String(this.selected.label);
+        const option = Array.isArray(this.props.options) && this.props.options.map(toOption).find(option => option.value === value);
+        return option ? String(option.label) : String(value);
+    }
+
+    getItems = () => {
+        const query = this.getQuery().trim();
+        const items = [...this.state.results];
+        if (this.props.creatable && query && !this.state.loading && !items.some(item => String(item.label).toLowerCase() == query.toLowerCase())) {
+            items.push({ value: query, label: query, create: true });
+        }
+        return items;
+    }
+
+    search = query => {
+        const { options, filter, debounce, minLength } = this.props;
+        this.cancel();
+        if (query.length < minLength) return this.setState({ results: [], index: -1, loading: false });
+        if (Array.isArray(options)) return this.setState({ results: filter(options.map(toOption), query), index: -1 });
+
+        this.setState({ loading: true });
+        this.timeout = setTimeout(() => this.load(query), debounce);
+    }
+
+    load = query => {
+        const request = this.request = {};
+        this.controller = typeof AbortController != 'undefined' ? new AbortController() : null;
+        new Promise(resolve => resolve(this.props.options(query, { signal: this.controller ? this.controller.signal : undefined }))).then(results => {
+            if (this.request !== request || this.unmounted) return;
+            this.setState({ results: (results || []).map(toOption), index: -1, loading: false });
+        }, error => {
+            if (this.request !== request || this.unmounted) return;
+            this.setState({ results: [], index: -1, loading: false });
+            if (error && error.name == 'AbortError') return;
+            if (this.props.onError) this.props.onError(error);
+        });
+    }
+
+    cancel = () => {
+        if (this.timeout) clearTimeout(this.timeout);
+        if (this.controller) this.controller.abort();
+        this.timeout = this.controller = this.request = null;
+    }
+
+    select = item => {
+        if (item.disabled) return;
+        this.setState({ text: null, active: false, index: -1 });
+        if (!item.create) {
+            this.selected = item;
+            return this.setValue(item.value, item);
+        }
+
+        // Until the option is created the previous value stays, a failure gives the typed text back to fix or retry.
+        new Promise(resolve => resolve(this.props.onCreate ? this.props.onCreate(item.value) : null)).then(option => {
+            if (this.unmounted) return;
+            this.selected = option ? toOption(option) : { value: item.value, label: item.value };
+            this.setValue(this.selected.value, this.selected);
+        }, error => {
+            if (this.unmounted) return;
+            this.setState({ text: item.value });
+            if (this.props.onError) this.props.onError(error);
+        });
+    }
+
+    move = direction => {
+        const items = this.getItems();
+        if (!items.length) return;
+        let index = this.state.index;
+        for (let step = 0; step < items.length; step++) {
+            index = index == -1 ? (direction > 0 ? 0 : items.length - 1) : (index + direction + items.length) % items.length;
+            if (!items[index].disabled) return this.setState({ index });
+        }
+    }
+
+    open = () => {
+        if (this.props.disabled || this.props.readOnly) return;
+        if (!this.state.active && this.state.text === null) this.search('');
+        this.setState({ active: true });
+    }
+
+    close = () => {
+        this.cancel();
+        this.setState({ active: false, index: -1, loading: false });
+    }
+
+    onChange = event => {
+        this.setState({ text: event.target.value, active: true });
+        this.search(event.target.value);
+    }
+
+    onBlur = event => {
+        if (this.props.onBlur) this.props.onBlur(event);
+        if (this.state.text !== null) {
+            if (!this.state.text.trim() && this.getValue() !== null && this.getValue() !== undefined) this.setValue(null);
+            this.setState({ text: null });
+        }
+        this.close();
+        if (this.isRegistered()) this.context.form.touch(this.props.name);
+    }
+
+    onKeyDown = event => {
+        if (this.props.onKeyDown) this.props.onKeyDown(event);
+        switch (event.which) {
+            case keyCodes.down:
+            case keyCodes.up:
+                event.preventDefault();
+                if (!this.state.active) return this.open();
+                return this.move(event.which == keyCodes.down ? 1 : -1);
+            case keyCodes.enter:
+                if (!this.state.active || this.state.index == -1) return;
+                event.preventDefault();
+                return this.select(this.getItems()[this.state.index]);
+            case keyCodes.esc:
+                if (!this.state.active) return this.state.text !== null && this.setState({ text: null });
+                event.preventDefault();
+                return this.close();
+        }
+    }
+
+    setNode = node => {
+        this.node = node;
+        if (this.props.pointer instanceof Function) this.props.pointer(node);
+    }
+}
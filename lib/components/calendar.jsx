@@ -0,0 +1,193 @@
+'use strict';
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import Button from './button';
+import Icon from './icon';
+import Tag from './tag';
+import { addDays, addMonths, compareDays, formatDate, getFirstDay, getMonthNames, getWeekdayNames, getWeeks, isDate, isDisabled, isSameDay, isSameMonth, startOfDay } from '../utils/date';
+
+const keyCodes = { enter: 13, space: 32, pageup: 33, pagedown: 34, end: 35, home: 36, left: 37, up: 38, right: 39, down: 40 };
+const value = PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.arrayOf(PropTypes.instanceOf(Date))]);
+
+let count = 0;
+
+export default class Calendar extends Component {
+    static propTypes = {
+        ...Tag.propTypes,
+        value,
+        defaultValue: value,
+        range: PropTypes.bool,
+        min: PropTypes.instanceOf(Date),
+        max: PropTypes.instanceOf(Date),
+        disabledDates: PropTypes.oneOfType([PropTypes.func, PropTypes.arrayOf(PropTypes.instanceOf(Date))]),
+        locale: PropTypes.string,
+        firstDay: PropTypes.number,
+        autoFocus: PropTypes.bool,
+        previous: PropTypes.string,
+        next: PropTypes.string,
+        onChange: PropTypes.func,
+    };
+
+    static defaultProps = {
+        tag: 'section',
+        range: false,
+        previous: 'Mois précédent',
+        next: 'Mois suivant',
+    };
+
+    id = `calendar-${++count}`;
+
+    getValue = () => this.props.value !== undefined ? this.props.value : this.state.value;
+    getDates = () => [].concat(this.getValue() || []).filter(isDate);
+    getFirstDay = () => this.props.firstDay !== undefined ? this.props.firstDay : getFirstDay(this.props.locale);
+    isDisabled = date => isDisabled(date, { min: this.props.min, max: this.props.max, disabled: this.props.disabledDates });
+
+    clamp = date => {
+        const { min, max } = this.props;
+        if (isDate(min) && compareDays(date, min) < 0) return startOfDay(min);
+        if (isDate(max) && compareDays(date, max) > 0) return startOfDay(max);
+        return startOfDay(date);
+    }
+
+    state = {
+        value: this.props.defaultValue,
+        focused: this.clamp([].concat(this.props.value || this.props.defaultValue || []).filter(isDate)[0] || new Date()),
+        anchor: null,
+        hovered: null,
+    };
+
+    render() {
+        const { className, value, defaultValue, range, min, max, disabledDates, locale, firstDay, autoFocus, previous, next, onChange, ...props } = this.props;
+        const { focused } = this.state;
+        const first = this.getFirstDay();
+        const classes = Classnames(className, 'calendar', range && 'calendar-range');
+        const names = getWeekdayNames(locale, first, 'long');
+        const title = `${getMonthNames(locale)[focused.getMonth()]} ${focused.getFullYear()}`;
+
+        return <Tag {...props} pointer={node => this.node = node} className={classes} role="group" aria-labelledby={`${this.id}-title`}>
+            <header className="calendar-header">
+                <Button color="link" size="sm" aria-label={previous} disabled={isDate(min) && compareDays(new Date(focused.getFullYear(), focused.getMonth(), 0), min) < 0} onClick={() => this.move(addMonths(focused, -1))}>
+                    <Icon name="chevron-left" />
+                </Button>
+                <h2 id={`${this.id}-title`} className="calendar-title" aria-live="polite">{title}</h2>
+                <Button color="link" size="sm" aria-label={next} disabled={isDate(max) && compareDays(new Date(focused.getFullYear(), focused.getMonth() + 1, 1), max) > 0} onClick={() => this.move(addMonths(focused, 1))}>
+                    <Icon name="chevron-right" />
+                </Button>
+            </header>
+            <table className="calendar-grid" role="grid" aria-labelledby={`${this.id}-title`} onKeyDown={this.onKeyDown}>
+                <thead>
+                    <tr>{getWeekdayNames(locale, first, 'narrow').map((day, index) => <th key={index} scope="col" abbr={names[index]}>{day}</th>)}</tr>
+                </thead>
+                <tbody>
+                    {getWeeks(focused, first).map((week, index) => <tr key={index}>{week.map(this.renderDay)}</tr>)}
+                </tbody>
+            </table>
+        </Tag>
+    }
+
+    renderDay = date => {
+        const { range, locale } = this.props;
+        const { focused } = this.state;
+        const [start, end] = this.getRange();
+        const disabled = this.isDisabled(date);
+        const selected = (isDate(start) && isSameDay(date, start)) || (isDate(end) && isSameDay(date, end));
+        const between = isDate(start) && isDate(end) && compareDays(date, start) > 0 && compareDays(date, end) < 0;
+        const today = isSameDay(date, new Date());
+        const active = isSameDay(date, focused);
+        const classes = Classnames('calendar-day', {
+            'calendar-day-outside': !isSameMonth(date, focused),
+            'calendar-day-today': today,
+            'calendar-day-start': range && selected && isSameDay(date, start),
+            'calendar-day-end': range && selected && isDate(end) && isSameDay(date, end),
+            'calendar-day-between': between,
+            active: selected,
+            disabled,
+        });
+
+        return <td key={date.getTime()} role="gridcell" className={classes} tabIndex={active ? 0 : -1}
+            aria-selected={selected || between}
+            aria-disabled={disabled || undefined}
+            aria-current={today ? 'date' : undefined}
+            aria-label={formatDate(date, locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })}
+            onClick={() => this.select(date)}
+            onMouseEnter={() => this.state.anchor && this.setState({ hovered: date })}>
+            {date.getDate()}
+        </td>
+    }
+
+    componentDidMount() {
+        if (this.props.autoFocus) this.focus();
+    }
+
+    componentDidUpdate(props) {
+        if (this.focusing) {
+            this.focusing = false;
+            this.focus();
+        }
+        if (props.value !== this.props.value) {
+            const date = this.getDates()[0];
+            if (date && !isSameMonth(date, this.state.focused)) this.setState({ focused: this.clamp(date) });
+        }
+    }
+
+    focus = () => {
+        const cell = this.node && this.node.querySelector('td[tabindex="0"]');
+        if (cell) cell.focus();
+    }
+
+    // While a range is being picked its end follows the hovered or focused day.
+    getRange = () => {
+        const { anchor, hovered } = this.state;
+        if (anchor) return compareDays(hovered || anchor, anchor) < 0 ? [hovered, anchor] : [anchor, hovered || anchor];
+        const dates = this.getDates();
+        return this.props.range ? dates : dates.slice(0, 1);
+    }
+
+    setValue = value => {
+        if (this.props.value === undefined) this.setState({ value });
+        if (this.props.onChange) this.props.onChange(value);
+    }
+
+    select = date => {
+        if (this.isDisabled(date)) return;
+        this.setState({ focused: date });
+        if (!this.props.range) return this.setValue(date);
+
+        const { anchor } = this.state;
+        if (!anchor) return this.setState({ anchor: date, hovered: date });
+        this.setState({ anchor: null, hovered: null });
+        this.setValue(compareDays(date, anchor) < 0 ? [date, anchor] : [anchor, date]);
+    }
+
+    move = (date, focus = false) => {
+        date = this.clamp(date);
+        this.focusing = focus;
+        this.setState(state => ({ focused: date, hovered: state.anchor ? date : state.hovered }));
+    }
+
+    onKeyDown = event => {
+        const { focused } = this.state;
+        const day = (focused.getDay() - this.getFirstDay() + 7) % 7;
+        let date;
+        switch (event.which) {
+            case keyCodes.left: date = addDays(focused, -1); break;
+            case keyCodes.right: date = addDays(focused, 1); break;
+            case keyCodes.up: date = addDays(focused, -7); break;
+            case keyCodes.down: date = addDays(focused, 7); break;
+            case keyCodes.home: date = addDays(focused, -day); break;
+            case keyCodes.end: date = addDays(focused, 6 - day); break;
+            case keyCodes.pageup: date = addMonths(focused, event.shiftKey ? -12 : -1); break;
+            case keyCodes.pagedown: date = addMonths(focused, event.shiftKey ? 12 : 1); break;
+            case keyCodes.enter:
+            case keyCodes.space:
+                event.preventDefault();
+                return this.select(focused);
+            default:
+                return;
+        }
+        event.preventDefault();
+        this.move(date, true);
+    }
+}
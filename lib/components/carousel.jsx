@@ -5,6 +5,8 @@ import PropTypes from 'prop-types';
 import Classnames from 'classnames';
 import Tag from './tag';
 import Transition from './transition';
+import { historyAdapter } from '../constants/proptypes';
+import { getHistory } from '../utils/history';
 
 const LEFT = 'left';
 const RIGHT = 'right';
@@ -104,6 +106,9 @@ export default class Carousel extends Component {
         controls: PropTypes.oneOfType([PropTypes.bool, PropTypes.element]),
         indicators: PropTypes.oneOfType([PropTypes.bool, PropTypes.element]),
         controlled: PropTypes.bool,
+        // Ignored with controlled, the owner of the active slide keeps it in sync then.
+        syncKey: PropTypes.string,
+        history: historyAdapter,
     };
 
     animating = false;
@@ -112,14 +117,44 @@ export default class Carousel extends Component {
     next = () => !this.animating && this.setState({ active: (this.state.active + 1) % Children.toArray(this.props.children).length });
     count = this.props.children.length || 1;
 
+    componentWillMount() {
+        const active = this.getSynced();
+        if (active !== undefined) this.setState({ active });
+    }
+
+    componentDidMount() {
+        if (this.props.syncKey && !this.props.controlled && this.getHistory().subscribe) this.unsync = this.getHistory().subscribe(this.onSync);
+    }
+
     componentWillReceiveProps(props) {
         if (this.props.children.length != props.children.length) {
             this.count = props.children.length;
         }
     }
 
+    componentDidUpdate(props, state) {
+        if (this.props.syncKey && state.active !== this.state.active) this.getHistory().set(this.props.syncKey, String(this.state.active));
+    }
+
+    componentWillUnmount() {
+        if (this.unsync) this.unsync();
+    }
+
+    getHistory = () => this.props.history || getHistory();
+
+    getSynced = () => {
+        if (!this.props.syncKey || this.props.controlled) return;
+        const active = parseInt(this.getHistory().get(this.props.syncKey), 10);
+        if (active >= 0 && active < Children.toArray(this.props.children).length) return active;
+    }
+
+    onSync = () => {
+        const active = this.getSynced();
+        if (active !== undefined && active !== this.state.active) this.setState({ active });
+    }
+
     render() {
-        const { controlled, ..._props } = this.props;
+        const { controlled, syncKey, history, ..._props } = this.props;
         if (controlled) return <CarouselControlled {..._props} />
 
         const transition = Transition.getTransitionProps(this.props);
@@ -5,6 +5,8 @@ import PropTypes from 'prop-types';
 import Classnames from 'classnames';
 import Tag from './tag';
 import Transition from './transition';
+import { historyAdapter } from '../constants/proptypes';
+import { getHistory } from '../utils/history';
 
 export default class Collapse extends Component {
     static propTypes = {
@@ -14,6 +16,9 @@ export default class Collapse extends Component {
         className: PropTypes.node,
         navbar: PropTypes.bool,
         reset: PropTypes.bool,
+        syncKey: PropTypes.string,
+        history: historyAdapter,
+        onSync: PropTypes.func,
     };
 
     static defaultProps = {
@@ -25,12 +30,33 @@ export default class Collapse extends Component {
         tag: 'article',
         timeout: 350,
     };
-    state = { height: null };
+    state = { height: null, synced: undefined };
+
+    componentWillMount() {
+        this.setState({ synced: this.getSynced() });
+    }
+
+    // The parent is told when the address opened or closed the panel against its active prop.
+    componentDidMount() {
+        if (this.props.syncKey && this.getHistory().subscribe) this.unsync = this.getHistory().subscribe(this.onSync);
+        if (this.state.synced !== undefined && this.state.synced !== this.props.active && this.props.onSync) this.props.onSync(this.state.synced);
+    }
+
+    // The parent keeps driving the panel, its changes are written to the address and win over what was read there.
+    componentWillReceiveProps(props) {
+        if (!props.syncKey || props.active === this.props.active) return;
+        this.setState({ synced: undefined });
+        this.getHistory(props).set(props.syncKey, props.active ? '1' : '0');
+    }
+
+    componentWillUnmount() {
+        if (this.unsync) this.unsync();
+    }
 
     render() {
         const { tag, pointer, ...props } = this.props;
         return <Transition
-            {...Transition.getTransitionProps(props)} 
+            {...Transition.getTransitionProps({ ...props, active: this.isActive() })} 
             onEntering={this.onEntering} 
             onEntered={this.onEntered} 
             onExit={this.onExit} 
@@ -40,6 +66,24 @@ export default class Collapse extends Component {
         />
     }
 
+    getHistory = (props = this.props) => props.history || getHistory();
+
+    getSynced = () => {
+        if (!this.props.syncKey) return;
+        const value = this.getHistory().get(this.props.syncKey);
+        if (value == '1') return true;
+        if (value == '0') return false;
+    }
+
+    isActive = () => this.state.synced !== undefined ? this.state.synced : this.props.active;
+
+    onSync = () => {
+        const synced = this.getSynced();
+        if (synced === undefined || synced === this.isActive()) return;
+        this.setState({ synced });
+        if (this.props.onSync) this.props.onSync(synced);
+    }
+
     getTransitionClass(status) {
         switch (status) {
             case Transition.ENTERING: 
@@ -81,7 +125,7 @@ export default class Collapse extends Component {
 
     onRender = status => {
         const { height } = this.state;
-        const { navbar, className, children, reset, ...props } = Transition.getOtherProps(this.props);
+        const { navbar, className, children, line, reset, syncKey, history, onSync, ...props } = Transition.getOtherProps(this.props);
 
         let classes = Classnames(className, this.getTransitionClass(status), navbar && 'navbar-collapse');
         const style = height === null ? null : { height };
@@ -0,0 +1,236 @@
+'use strict';
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import Calendar from './calendar';
+import Input from './input';
+import Popover, { PopoverInner, PopoverToggle } from './popover';
+import { contains } from './portal';
+import { formContext, formGroupContext } from '../constants/proptypes';
+import { formatDate, isDate, isDisabled, parseDate } from '../utils/date';
+
+const keyCodes = { enter: 13, esc: 27, down: 40 };
+
+let count = 0;
+
+export default class DatePicker extends Component {
+    static propTypes = {
+        ...Input.propTypes,
+        value: Calendar.propTypes.value,
+        defaultValue: Calendar.propTypes.value,
+        range: PropTypes.bool,
+        min: PropTypes.instanceOf(Date),
+        max: PropTypes.instanceOf(Date),
+        disabledDates: Calendar.propTypes.disabledDates,
+        locale: PropTypes.string,
+        firstDay: PropTypes.number,
+        format: PropTypes.object,
+        separator: PropTypes.string,
+        onChange: PropTypes.func,
+    };
+
+    static defaultProps = {
+        range: false,
+        register: true,
+        separator: ' – ',
+        format: { year: 'numeric', month: '2-digit', day: '2-digit' },
+    };
+
+    static contextTypes = {
+        form: formContext,
+        formGroup: formGroupContext,
+    };
+
+    id = `datepicker-${++count}`;
+    state = { value: this.props.defaultValue, text: null, active: false };
+
+    render() {
+        const { className, value, defaultValue, range, min, max, disabledDates, locale, firstDay, format, separator, register, validate, messages, onChange, ...props } = this.props;
+        const { form, formGroup } = this.context;
+        const classes = Classnames(className, 'datepicker');
+        const error = this.isRegistered() && form.isVisible(props.name) && form.getError(props.name);
+
+        let valid = props.valid;
+        if (valid === undefined && this.isRegistered() && form.isVisible(props.name)) valid = !error;
+
+        return <Popover controlled trigger="manual" tag="section" className={classes} active={this.state.active} pointer={node => this.container = node}>
+            <PopoverToggle tag="section" onMouseDown={this.toggle}>
+                <Input {...props} type="text" register={false} valid={valid} value={this.getText()} autoComplete="off"
+                    pointer={this.setNode}
+                    aria-haspopup="dialog"
+                    aria-expanded={this.state.active}
+                    aria-controls={`${this.id}-calendar`}
+                    aria-describedby={props['aria-describedby'] || (this.isRegistered() && formGroup ? `${formGroup.id}-feedback` : undefined)}
+                    aria-invalid={error ? true : undefined}
+                    onChange={this.onChange}
+                    onBlur={this.onBlur}
+                    onKeyDown={this.onKeyDown}
+                />
+            </PopoverToggle>
+            <PopoverInner direction="bottom" className="datepicker-menu" id={`${this.id}-calendar`} role="dialog" aria-label={props.placeholder} onKeyDown={this.onMenuKeyDown}>
+                <Calendar ref={calendar => this.calendar = calendar}
+                    value={this.getValue() || null}
+                    range={range}
+                    min={min}
+                    max={max}
+                    disabledDates={disabledDates}
+                    locale={locale}
+                    firstDay={firstDay}
+                    onChange={this.onSelect}
+                />
+            </PopoverInner>
+        </Popover>
+    }
+
+    componentWillMount() {
+        if (this.isRegistered() && this.context.formGroup) this.context.formGroup.setName(this.props.name);
+    }
+
+    componentDidMount() {
+        if (this.isRegistered()) this.register();
+    }
+
+    componentDidUpdate(props, state) {
+        if (this.state.active != state.active) {
+            if (this.state.active) this.addEvents();
+            else this.removeEvents();
+        }
+        if (this.state.active && this.focusing) {
+            this.focusing = false;
+            this.calendar.focus();
+        }
+
+        if (!this.context.form || (props.name === this.props.name && props.register === this.props.register)) return;
+        if (props.name && props.register !== false) this.context.form.unregister(props.name, this);
+        if (this.isRegistered()) this.register();
+    }
+
+    componentWillUnmount() {
+        this.removeEvents();
+        if (this.isRegistered()) this.context.form.unregister(this.props.name, this);
+    }
+
+    isRegistered = () => !!(this.context.form && this.props.name && this.props.register !== false);
+    getRules = () => ({ required: this.props.required, validate: this.props.validate, messages: this.props.messages });
+
+    register = () => {
+        const { form } = this.context;
+        form.register(this.props.name, this);
+        if (this.props.value !== undefined) form.setValue(this.props.name, this.props.value, false);
+        else if (form.getValue(this.props.name) === undefined && this.props.defaultValue !== undefined) form.setValue(this.props.name, this.props.defaultValue, false);
+    }
+
+    getValue = () => {
+        if (this.props.value !== undefined) return this.props.value;
+        if (this.isRegistered()) return this.context.form.getValue(this.props.name);
+        return this.state.value;
+    }
+
+    setValue = value => {
+        if (this.isRegistered()) this.context.form.setValue(this.props.name, value);
+        else if (this.props.value === undefined) this.setState({ value });
+        if (this.props.onChange) this.props.onChange(value);
+    }
+
+    getText = () => {
+        const { locale, format, separator } = this.props;
+        if (this.state.text !== null) return this.state.text;
+        const dates = [].concat(this.getValue() || []).filter(isDate);
+        return dates.map(date => formatDate(date, locale, format)).join(separator);
+    }
+
+    // Reads the typed text, keeping it as is while it is not a valid date so it can be fixed.
+    parse = () => {
+        const { range, min, max, disabledDates, locale, separator } = this.props;
+        const text = this.state.text;
+        if (text === null) return;
+        if (!text.trim()) return this.update(null);
+
+        let parts = range ? text.split(separator.trim()) : [text];
+        if (range && parts.length == 1) parts = text.split(' - ');
+        parts = parts.map(part => part.trim());
+        const dates = parts.map(part => parseDate(part, locale));
+        const invalid = dates.some(date => !date || isDisabled(date, { min, max, disabled: disabledDates }));
+        if (invalid || (range && dates.length != 2)) {
+            this.setValue(null);
+            return;
+        }
+        this.update(range ? dates.sort((a, b) => a - b) : dates[0]);
+    }
+
+    update = value => {
+        this.setState({ text: null });
+        this.setValue(value);
+    }
+
+    open = focus => {
+        if (this.props.disabled || this.props.readOnly) return;
+        if (this.state.active) return focus && this.calendar.focus();
+        this.focusing = focus;
+        this.setState({ active: true });
+    }
+
+    close = focus => {
+        this.setState({ active: false });
+        if (focus && this.node) this.node.focus();
+    }
+
+    toggle = () => this.state.active ? this.close() : this.open();
+
+    addEvents = () => {
+        document.addEventListener('mousedown', this.onOutside, true);
+        document.addEventListener('touchstart', this.onOutside, true);
+        document.addEventListener('focusin', this.onOutside, true);
+    }
+
+    removeEvents = () => {
+        document.removeEventListener('mousedown', this.onOutside, true);
+        document.removeEventListener('touchstart', this.onOutside, true);
+        document.removeEventListener('focusin', this.onOutside, true);
+    }
+
+    onOutside = event => {
+        if (this.container && !contains(this.container, event.target)) this.close();
+    }
+
+    onChange = event => {
+        this.setState({ text: event.target.value });
+    }
+
+    onBlur = event => {
+        if (this.props.onBlur) this.props.onBlur(event);
+        this.parse();
+        if (this.isRegistered()) this.context.form.touch(this.props.name);
+    }
+
+    onKeyDown = event => {
+        if (this.props.onKeyDown) this.props.onKeyDown(event);
+        switch (event.which) {
+            case keyCodes.down:
+                event.preventDefault();
+                return this.open(true);
+            case keyCodes.esc:
+                if (this.state.active) event.preventDefault();
+                return this.close();
+            case keyCodes.enter:
+                return this.parse();
+        }
+    }
+
+    onMenuKeyDown = event => {
+        if (event.which != keyCodes.esc) return;
+        event.preventDefault();
+        this.close(true);
+    }
+
+    onSelect = value => {
+        this.update(value);
+        if (!this.props.range || Array.isArray(value)) this.close(true);
+    }
+
+    setNode = node => {
+        this.node = node;
+        if (this.props.pointer instanceof Function) this.props.pointer(node);
+    }
+}
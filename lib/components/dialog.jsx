@@ -0,0 +1,114 @@
+'use strict';
+
+import React, { Children, Component } from 'react';
+import PropTypes from 'prop-types';
+import Button from './button';
+import Form from './form';
+import Input from './input';
+import Modal, { ModalConfirm, ModalContent } from './modal';
+
+let provider = null;
+let count = 0;
+
+const open = (type, options = {}) => {
+    if (!provider) return Promise.reject(new Error('A DialogProvider must be mounted to open a dialog.'));
+    if (typeof options == 'string') options = { body: options };
+    return provider.open(type, options);
+};
+
+export const dialog = {
+    alert: options => open('alert', options),
+    confirm: options => open('confirm', options),
+    prompt: options => open('prompt', options),
+};
+
+export default class DialogProvider extends Component {
+    static childContextTypes = {
+        dialog: PropTypes.shape({
+            alert: PropTypes.func.isRequired,
+            confirm: PropTypes.func.isRequired,
+            prompt: PropTypes.func.isRequired,
+        })
+    };
+
+    getChildContext = () => Object({ dialog });
+
+    state = { dialogs: [] };
+
+    componentDidMount() {
+        provider = this;
+    }
+
+    componentWillUnmount() {
+        if (provider === this) provider = null;
+        this.state.dialogs.forEach(item => item.active && item.resolve(this.getDismissValue(item)));
+    }
+
+    render() {
+        return [
+            ...Children.toArray(this.props.children),
+            ...this.state.dialogs.map(this.renderDialog),
+        ];
+    }
+
+    renderDialog = item => {
+        const { id, active, type, options } = item;
+        const { title, body, large, size, cancel_text, cancel_color, submit_text, submit_color } = options;
+        const dismiss = () => this.close(id, this.getDismissValue(item));
+
+        let content;
+        switch (type) {
+            case 'alert':
+                content = <ModalContent title={title} footer={
+                    <Button color={submit_color || 'primary'} className="ml-auto" onClick={() => this.close(id)}>{submit_text || 'OK'}</Button>
+                }>{body}</ModalContent>
+                break;
+            case 'confirm':
+                content = <ModalConfirm title={title}
+                    cancel_text={cancel_text} cancel_color={cancel_color} onCancel={dismiss}
+                    submit_text={submit_text} submit_color={submit_color} onSubmit={() => this.close(id, true)}
+                >{body}</ModalConfirm>
+                break;
+            case 'prompt':
+                content = <Form onSubmit={event => { event.preventDefault(); this.close(id, item.value); }}>
+                    <ModalConfirm title={title} cancel_text={cancel_text} cancel_color={cancel_color} onCancel={dismiss} submit_text={submit_text} submit_color={submit_color}>
+                        {body}
+                        <Input type={options.type || 'text'} name={options.name} placeholder={options.placeholder} value={item.value} onChange={event => this.change(id, event.target.value)} />
+                    </ModalConfirm>
+                </Form>
+                break;
+        }
+
+        return <Modal key={`dialog-${id}`} active={active} large={large} size={size} toggle={dismiss} transition={{ onExited: () => this.remove(id) }}>
+            {content}
+        </Modal>
+    }
+
+    getDismissValue = item => {
+        switch (item.type) {
+            case 'confirm': return false;
+            case 'prompt': return null;
+        }
+    }
+
+    open = (type, options) => new Promise(resolve => {
+        const id = ++count;
+        const value = options.value === undefined ? '' : options.value;
+        this.setState({ dialogs: [...this.state.dialogs, { id, type, options, resolve, value, active: true }] });
+    });
+
+    change = (id, value) => {
+        this.setState({ dialogs: this.state.dialogs.map(item => item.id == id ? { ...item, value } : item) });
+    }
+
+    close = (id, value) => {
+        const item = this.state.dialogs.find(item => item.id == id);
+        if (!item || !item.active) return;
+        item.resolve(value);
+        this.setState({ dialogs: this.state.dialogs.map(item => item.id == id ? { ...item, active: false } : item) });
+    }
+
+    remove = id => {
+        this.setState({ dialogs: this.state.dialogs.filter(item => item.id != id) });
+    }
+}
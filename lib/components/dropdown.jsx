@@ -6,6 +6,9 @@ import Classnames from 'classnames';
 import ReactDOM from 'react-dom';
 import Button from './button';
 import Tag from './tag';
+import Portal, { contains, isPortal, querySelectorAll } from './portal';
+import { overlayContext } from '../constants/proptypes';
+import { observe, position } from '../utils/position';
 
 class DropdownControlled extends Component {
     static propTypes = {
@@ -33,6 +36,7 @@ class DropdownControlled extends Component {
             getTarget: PropTypes.func.isRequired,
             setInside: PropTypes.func.isRequired,
             getInside: PropTypes.func.isRequired,
+            getContainer: PropTypes.func.isRequired,
         })
     };
 
@@ -43,6 +47,7 @@ class DropdownControlled extends Component {
             toggle: this.props.toggle,
             setTarget: node => this.target = node,
             getTarget: () => this.target,
+            getContainer: () => ReactDOM.findDOMNode(this),
             setInside: inside => this.inside = inside,
             getInside: () => this.inside,
         }
@@ -84,7 +89,7 @@ class DropdownControlled extends Component {
         const keyCodes = { esc: 27, space: 32, tab: 9, up: 38, down: 40 };
         if (event && (event.which === 3 || (event.type === 'keyup' && event.which !== keyCodes.tab))) return;
         const container = ReactDOM.findDOMNode(this);
-        if (container.contains(event.target) && container !== event.target && (event.type !== 'keyup' || event.which === keyCodes.tab)) return;
+        if (contains(container, event.target) && container !== event.target && (event.type !== 'keyup' || event.which === keyCodes.tab)) return;
         this.onToggle(event);
     }
 
@@ -108,7 +113,7 @@ class DropdownControlled extends Component {
         const menuClasses = Classnames('dropdown-menu');
         const itemClasses = Classnames('dropdown-item');
         const disabledClasses = Classnames('disabled');
-        const items = container.querySelectorAll(`.${menuClasses} .${itemClasses}:not(.${disabledClasses})`);
+        const items = querySelectorAll(container, `.${menuClasses} .${itemClasses}:not(.${disabledClasses})`);
         if (!items.length) return;
 
         let index = -1;
@@ -169,7 +174,7 @@ export class DropdownItem extends Component {
 
     render() {
         let { className, divider, disabled, header, active, onClick, tag, nav, toggle, ...props } = this.props;
-        const index = (disabled || header || divider) ? -1 : 0;
+        const index = (disabled || header || divider) ? -1 : (props.tabIndex !== undefined ? props.tabIndex : 0);
         const type = (tag === 'button' && (onClick || toggle) && !header && !divider) ? 'button' : undefined;
         const classes = Classnames(className, { disabled, active }, (!divider && !header) && 'dropdown-item', header && 'dropdown-header', divider && 'dropdown-divider', nav && 'nav-link');
 
@@ -193,6 +198,8 @@ export class DropdownInner extends Component {
         ...Tag.propTypes,
         right: PropTypes.bool,
         flip: PropTypes.bool,
+        direction: PropTypes.oneOf(['top', 'bottom', 'left', 'right']),
+        portal: PropTypes.oneOfType([PropTypes.bool, PropTypes.object, PropTypes.func]),
     };
 
     static defaultProps = {
@@ -208,13 +215,20 @@ export class DropdownInner extends Component {
             setTarget: PropTypes.func.isRequired,
             getInside: PropTypes.func.isRequired,
             setInside: PropTypes.func.isRequired,
-        })
+            getContainer: PropTypes.func.isRequired,
+        }),
+        overlay: overlayContext,
     };
 
+    state = { placement: null };
+
     render() {
-        const { className, right, flip, ...props } = this.props;
-        const classes = Classnames(className, 'dropdown-menu', right && 'dropdown-menu-right', this.context.dropdown.active && 'show');
-        return <Tag tabIndex="-1" role="menu" {...props} aria-hidden={!this.context.dropdown.active} className={classes} />
+        const { className, right, flip, direction, portal, pointer, ...props } = this.props;
+        const inPortal = isPortal(this.props, this.context);
+        const classes = Classnames(className, 'dropdown-menu', right && 'dropdown-menu-right', this.state.placement && `dropdown-menu-${this.state.placement}`, this.context.dropdown.active && 'show');
+        return <Portal disabled={!inPortal} container={inPortal === true ? undefined : inPortal}>
+            <Tag tabIndex="-1" role="menu" {...props} pointer={this.setNode} aria-hidden={!this.context.dropdown.active} className={classes} />
+        </Portal>
     }
 
     componentDidMount() {
@@ -225,46 +239,32 @@ export class DropdownInner extends Component {
         this.componentDidRendered();
     }
 
+    componentWillUnmount() {
+        this.unobserve();
+    }
+
+    // Menus opened from an input rather than a DropdownToggle are placed against the whole dropdown.
     componentDidRendered() {
-        if (this.context.dropdown.active) {
-            const target = this.context.dropdown.getTarget();
-            const popper = ReactDOM.findDOMNode(this);
-            this.setOffsetLeft(target, popper, this.props.direction);
-            this.setOffsetTop(target, popper, this.props.direction);
-        }
+        const popper = this.node;
+        if (!this.context.dropdown.active || !popper) return this.unobserve();
+
+        const { direction, right, flip } = this.props;
+        const target = this.context.dropdown.getTarget() || this.context.dropdown.getContainer();
+        const placement = position(target, popper, { direction: direction || (this.context.dropdown.dropup ? 'top' : 'bottom'), align: right ? 'end' : 'start', flip });
+        if (placement && placement != this.state.placement) this.setState({ placement });
+        if (!this.observer) this.observer = observe(() => this.componentDidRendered());
     }
 
-    setOffsetLeft = (target, popper, direction) => {
-        switch (direction) {
-            case 'left':
-                popper.style.left = 'auto';
-                popper.style.right = `${target.offsetWidth}px`;
-                break;
-            case 'right':
-                popper.style.left = `${target.offsetWidth}px`;
-                break;
-            case 'bottom':
-            case 'top':
-                popper.style.left = `${target.offsetWidth / 2 - popper.offsetWidth / 2}px`;
-                break;
-        }
+    unobserve = () => {
+        if (this.observer) this.observer();
+        this.observer = null;
     }
 
-    setOffsetTop = (target, popper, direction) => {
-        switch (direction) {
-            case 'top':
-                popper.style.top = 'auto';
-                popper.style.bottom = `${target.offsetHeight}px`;
-                break;
-            case 'bottom':
-                popper.style.top = `${target.offsetHeight}px`;
-                break;
-            case 'left':
-            case 'right':
-                popper.style.top = `${target.offsetHeight / 2 - popper.offsetHeight / 2}px`;
-                break;
-        }
+    setNode = node => {
+        this.node = node;
+        if (this.props.pointer instanceof Function) this.props.pointer(node);
     }
+
 }
 
 export class DropdownToggle extends Component {
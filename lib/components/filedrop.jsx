@@ -0,0 +1,262 @@
+'use strict';
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import Button from './button';
+import Icon from './icon';
+import Input from './input';
+import ListGroup, { ListGroupItem } from './listgroup';
+import Progress, { ProgressBar } from './progress';
+import Tag from './tag';
+import { formatSize, messages, validateFile, xhr } from '../utils/upload';
+
+const keyCodes = { enter: 13, space: 32 };
+const statuses = { pending: 'En attente', uploading: 'Envoi en cours', done: 'Terminé', error: 'Échec', canceled: 'Annulé', rejected: 'Refusé' };
+
+let count = 0;
+
+export default class FileDrop extends Component {
+    static propTypes = {
+        ...Tag.propTypes,
+        accept: PropTypes.string,
+        multiple: PropTypes.bool,
+        maxSize: PropTypes.number,
+        maxFiles: PropTypes.number,
+        url: PropTypes.string,
+        method: PropTypes.string,
+        field: PropTypes.string,
+        headers: PropTypes.object,
+        data: PropTypes.object,
+        withCredentials: PropTypes.bool,
+        transport: PropTypes.func,
+        autoUpload: PropTypes.bool,
+        concurrency: PropTypes.number,
+        thumbnails: PropTypes.bool,
+        disabled: PropTypes.bool,
+        locale: PropTypes.string,
+        label: PropTypes.node,
+        messages: PropTypes.object,
+        onChange: PropTypes.func,
+        onReject: PropTypes.func,
+        onUpload: PropTypes.func,
+        onError: PropTypes.func,
+    };
+
+    static defaultProps = {
+        tag: 'section',
+        multiple: true,
+        autoUpload: true,
+        concurrency: 2,
+        thumbnails: true,
+        label: 'Déposez vos fichiers ici ou cliquez pour les sélectionner',
+    };
+
+    id = `filedrop-${++count}`;
+    controllers = {};
+    state = { items: [], dragging: false };
+
+    render() {
+        const { className, accept, multiple, maxSize, maxFiles, url, method, field, headers, data, withCredentials, transport, autoUpload, concurrency, thumbnails, disabled, locale, label, messages, onChange, onReject, onUpload, onError, ...props } = this.props;
+        const classes = Classnames(className, 'filedrop', { disabled });
+        const zoneClasses = Classnames('filedrop-zone', this.state.dragging && 'filedrop-active');
+        const hints = [accept, maxSize !== undefined && `${formatSize(maxSize, locale)} max.`].filter(hint => hint);
+
+        return <Tag {...props} className={classes}>
+            <section className={zoneClasses} role="button" tabIndex={disabled ? -1 : 0} aria-disabled={disabled || undefined} aria-describedby={hints.length ? `${this.id}-hint` : undefined}
+                onClick={this.browse}
+                onKeyDown={this.onKeyDown}
+                onDragEnter={this.onDragEnter}
+                onDragOver={this.onDragOver}
+                onDragLeave={this.onDragLeave}
+                onDrop={this.onDrop}>
+                <Input type="file" control={false} register={false} className="filedrop-input" pointer={node => this.input = node} accept={accept} multiple={multiple} disabled={disabled} tabIndex={-1} aria-hidden="true" onChange={this.onInputChange} />
+                <Icon name="upload" className="filedrop-icon" />
+                <span className="filedrop-label">{label}</span>
+                {!!hints.length && <small id={`${this.id}-hint`} className="filedrop-hint text-muted">{hints.join(' · ')}</small>}
+            </section>
+            {!!this.state.items.length && <ListGroup className="filedrop-queue" aria-live="polite">
+                {this.state.items.map(this.renderItem)}
+            </ListGroup>}
+        </Tag>
+    }
+
+    renderItem = item => {
+        const { thumbnails, locale } = this.props;
+        const failed = ['error', 'rejected'].indexOf(item.status) != -1;
+        return <ListGroupItem key={item.id} className={Classnames('filedrop-item', `filedrop-item-${item.status}`)}>
+            {thumbnails && item.preview
+                ? <img className="filedrop-thumbnail" src={item.preview} alt="" />
+                : <Icon name="file" className="filedrop-thumbnail" />}
+            <section className="filedrop-details">
+                <span className="filedrop-name">{item.file.name}</span>
+                <small className="text-muted">{formatSize(item.file.size, locale)} · {statuses[item.status]}</small>
+                {['uploading', 'done'].indexOf(item.status) != -1 && <Progress className="filedrop-progress">
+                    <ProgressBar value={item.progress} color={item.status == 'done' ? 'success' : undefined} striped={item.status == 'uploading'} animated={item.status == 'uploading'} aria-label={item.file.name} />
+                </Progress>}
+                {failed && <small className="text-danger" role="alert">{item.error}</small>}
+            </section>
+            <section className="filedrop-actions">
+                {['pending', 'uploading'].indexOf(item.status) != -1 && <Button size="sm" color="link" onClick={() => this.cancel(item.id)}>Annuler</Button>}
+                {['error', 'canceled'].indexOf(item.status) != -1 && <Button size="sm" color="link" onClick={() => this.retry(item.id)}>Réessayer</Button>}
+                {['pending', 'uploading'].indexOf(item.status) == -1 && <Button size="sm" color="link" className="text-danger" onClick={() => this.remove(item.id)}>Retirer</Button>}
+            </section>
+        </ListGroupItem>
+    }
+
+    componentDidUpdate(props, state) {
+        if (this.state.items !== state.items && this.props.onChange) this.props.onChange(this.state.items);
+    }
+
+    componentWillUnmount() {
+        this.unmounted = true;
+        Object.keys(this.controllers).forEach(id => this.controllers[id].abort());
+        this.state.items.forEach(item => item.preview && URL.revokeObjectURL(item.preview));
+    }
+
+    getTransport = () => {
+        const { transport, url, method, field, headers, data, withCredentials } = this.props;
+        return transport || xhr({ url, method, field, headers, data, withCredentials });
+    }
+
+    update = (id, changes) => {
+        if (this.unmounted) return;
+        this.setState(state => ({ items: state.items.map(item => item.id == id ? { ...item, ...changes } : item) }));
+    }
+
+    browse = () => {
+        if (!this.props.disabled && this.input) this.input.click();
+    }
+
+    add = files => {
+        const { accept, maxSize, maxFiles, multiple, thumbnails, locale } = this.props;
+        files = multiple ? files : files.slice(0, 1);
+        // Without multiple the new file replaces the queue, it does not count against it.
+        let accepted = multiple ? this.state.items.filter(item => item.status != 'rejected').length : 0;
+        const rejected = [];
+
+        const items = files.map(file => {
+            let error = validateFile(file, { accept, maxSize, messages: this.props.messages }, locale);
+            if (!error && maxFiles !== undefined && accepted >= maxFiles) {
+                error = ((this.props.messages || {}).maxFiles || messages.maxFiles)(maxFiles);
+            }
+            if (error) rejected.push({ file, error });
+            else accepted++;
+            return {
+                id: `${this.id}-file-${++count}`,
+                file,
+                status: error ? 'rejected' : 'pending',
+                progress: 0,
+                error,
+                preview: thumbnails && !error && /^image\//.test(file.type) && window.URL ? URL.createObjectURL(file) : null,
+            };
+        });
+
+        if (rejected.length && this.props.onReject) this.props.onReject(rejected);
+        if (!multiple) this.state.items.forEach(this.discard);
+        this.setState(state => ({ items: multiple ? [...state.items, ...items] : items }), () => {
+            if (this.props.autoUpload) this.process();
+        });
+    }
+
+    // Starts pending uploads until `concurrency` files are being sent.
+    process = () => {
+        if (this.unmounted) return;
+        const uploading = this.state.items.filter(item => item.status == 'uploading').length;
+        this.state.items
+            .filter(item => item.status == 'pending')
+            .slice(0, Math.max(0, this.props.concurrency - uploading))
+            .forEach(this.start);
+    }
+
+    upload = () => this.process();
+
+    start = item => {
+        const controller = this.controllers[item.id] = new AbortController();
+        this.update(item.id, { status: 'uploading', progress: 0, error: null });
+
+        const onProgress = (loaded, total) => this.update(item.id, { progress: total ? Math.round(loaded / total * 100) : 0 });
+        Promise.resolve().then(() => this.getTransport()(item.file, { signal: controller.signal, onProgress })).then(response => {
+            this.update(item.id, { status: 'done', progress: 100, response });
+            return () => this.props.onUpload && this.props.onUpload(item.file, response);
+        }, error => {
+            if (controller.signal.aborted) return this.update(item.id, { status: 'canceled', progress: 0 });
+            this.update(item.id, { status: 'error', error: error && error.message ? error.message : String(error) });
+            return () => this.props.onError && this.props.onError(item.file, error);
+        }).then(callback => {
+            delete this.controllers[item.id];
+            if (!this.unmounted) this.setState({}, this.process);
+            if (callback) this.notify(callback);
+        });
+    }
+
+    // The queue must go on whatever the callbacks do, their errors are thrown outside of the upload chain.
+    notify = callback => {
+        try {
+            callback();
+        } catch (error) {
+            setTimeout(() => { throw error; });
+        }
+    }
+
+    cancel = id => {
+        if (this.controllers[id]) return this.controllers[id].abort();
+        this.update(id, { status: 'canceled' });
+    }
+
+    retry = id => {
+        this.update(id, { status: 'pending', progress: 0, error: null });
+        this.setState({}, this.process);
+    }
+
+    // Stops the upload of an item leaving the queue and frees its thumbnail.
+    discard = item => {
+        if (this.controllers[item.id]) this.controllers[item.id].abort();
+        if (item.preview) URL.revokeObjectURL(item.preview);
+    }
+
+    remove = id => {
+        const item = this.state.items.find(item => item.id == id);
+        if (item) this.discard(item);
+        this.setState(state => ({ items: state.items.filter(item => item.id != id) }));
+    }
+
+    getFiles = event => Array.prototype.slice.call((event.dataTransfer || event.target).files || []);
+
+    onInputChange = event => {
+        this.add(this.getFiles(event));
+        event.target.value = '';
+    }
+
+    onKeyDown = event => {
+        if ([keyCodes.enter, keyCodes.space].indexOf(event.which) == -1) return;
+        event.preventDefault();
+        this.browse();
+    }
+
+    onDragEnter = event => {
+        event.preventDefault();
+        if (this.props.disabled) return;
+        this.depth = (this.depth || 0) + 1;
+        this.setState({ dragging: true });
+    }
+
+    onDragOver = event => {
+        event.preventDefault();
+        if (event.dataTransfer) event.dataTransfer.dropEffect = this.props.disabled ? 'none' : 'copy';
+    }
+
+    // Entering a child of the zone fires dragleave on the zone itself, hence the depth counter.
+    onDragLeave = event => {
+        event.preventDefault();
+        this.depth = Math.max(0, (this.depth || 0) - 1);
+        if (!this.depth) this.setState({ dragging: false });
+    }
+
+    onDrop = event => {
+        event.preventDefault();
+        this.depth = 0;
+        this.setState({ dragging: false });
+        if (!this.props.disabled) this.add(this.getFiles(event));
+    }
+}
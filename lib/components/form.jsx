@@ -4,37 +4,363 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import Classnames from 'classnames';
 import Tag from './tag';
+import { formContext, formGroupContext } from '../constants/proptypes';
+import { getIn, setIn } from '../utils';
+import { getRules, isThenable, messages, validate } from '../utils/validation';
+
+let count = 0;
+let keys = 0;
 
 export default class Form extends Component {
     static propTypes = {
         ...Tag.propTypes,
         inline: PropTypes.bool,
         validated: PropTypes.bool,
+        initialValues: PropTypes.object,
+        validate: PropTypes.func,
+        onValuesChange: PropTypes.func,
+        onInvalid: PropTypes.func,
+        onSubmit: PropTypes.func,
+        onError: PropTypes.func,
+        onReset: PropTypes.func,
     }
     static defaultProps = {
         inline: false,
+        initialValues: {},
         tag: 'form'
     }
 
+    static childContextTypes = {
+        form: formContext,
+    };
+
+    getChildContext = () => Object({
+        form: {
+            register: this.register,
+            unregister: this.unregister,
+            getValue: this.getValue,
+            setValue: this.setValue,
+            setArray: this.setArray,
+            getError: this.getError,
+            isVisible: this.isVisible,
+            touch: this.touch,
+        }
+    });
+
+    fields = [];
+    validations = {};
+    values = this.props.initialValues;
+    state = {
+        values: this.props.initialValues,
+        errors: {},
+        touched: {},
+        submitted: false,
+        submitting: false,
+        registered: false,
+    };
+
     render() {
-        const { className, inline, validated, ...props } = this.props;
+        const { className, inline, validated, initialValues, validate, onValuesChange, onInvalid, onError, ...props } = this.props;
         const classes = Classnames(className, 'form', inline && 'form-inline', validated && 'was-validated');
-        return <Tag {...props} className={classes} />
+        return <Tag noValidate={this.state.registered || undefined} {...props} className={classes} onSubmit={this.onSubmit} onReset={this.onReset} aria-busy={this.state.submitting || undefined} />
+    }
+
+    componentWillUnmount() {
+        this.unmounted = true;
+    }
+
+    getValues = () => this.values;
+    getValue = name => getIn(this.values, name);
+    getError = name => this.state.errors[name];
+    isVisible = name => this.state.submitted || !!this.state.touched[name];
+
+    register = (name, field) => {
+        this.fields.push({ name, field });
+        if (!this.state.registered) this.setState({ registered: true });
+    }
+
+    unregister = (name, field) => {
+        this.fields = this.fields.filter(item => item.field !== field);
+        if (this.unmounted) return;
+
+        // Checked once the update is flushed, a renamed field of a FieldArray may take over the name meanwhile.
+        this.setState(state => {
+            if (!state.errors[name] || this.fields.some(item => item.name == name)) return null;
+            const errors = { ...state.errors };
+            delete errors[name];
+            return { errors };
+        });
+    }
+
+    setValue = (name, value, validate = true) => {
+        const values = this.values = setIn(this.values, name, value);
+        this.setState({ values });
+        if (this.props.onValuesChange) this.props.onValuesChange(values, name);
+        if (validate) this.validateField(name, values);
+        return values;
+    }
+
+    // Moves the errors and touched state of the rows along with them, indexes[n] being the previous index of the row n or -1.
+    setArray = (name, items, indexes) => {
+        const prefix = `${name}[`;
+        const move = object => Object.keys(object).reduce((result, key) => {
+            const match = key.indexOf(prefix) == 0 && /^(\d+)\]/.exec(key.slice(prefix.length));
+            if (!match) result[key] = object[key];
+            else if (indexes.indexOf(Number(match[1])) != -1) {
+                result[`${prefix}${indexes.indexOf(Number(match[1]))}${key.slice(prefix.length + match[1].length)}`] = object[key];
+            }
+            return result;
+        }, {});
+
+        Object.keys(this.validations).forEach(key => key.indexOf(prefix) == 0 && delete this.validations[key]);
+        this.setState(state => ({ errors: move(state.errors), touched: move(state.touched) }));
+        return this.setValue(name, items);
+    }
+
+    setValues = values => {
+        this.values = values;
+        this.setState({ values });
+        if (this.props.onValuesChange) this.props.onValuesChange(values);
+    }
+
+    touch = name => {
+        if (this.state.touched[name]) return;
+        this.setState(state => ({ touched: { ...state.touched, [name]: true } }));
+        this.validateField(name);
+    }
+
+    getField = name => {
+        const item = this.fields.find(item => item.name == name);
+        return item && item.field;
+    }
+
+    validateField = (name, values = this.values) => {
+        const field = this.getField(name);
+        if (!field) return Promise.resolve(null);
+
+        const token = this.validations[name] = {};
+        const error = validate(getIn(values, name), field.getRules(), values);
+        if (!isThenable(error)) {
+            this.setError(name, error);
+            return Promise.resolve(error);
+        }
+        // A validator that fails, a request that could not be sent for instance, leaves the field invalid rather than passing it.
+        return error.then(error => error, error => {
+            this.onError(error);
+            return field.getRules().messages && field.getRules().messages.invalid || messages.invalid;
+        }).then(error => {
+            if (this.validations[name] === token) this.setError(name, error);
+            return error;
+        });
+    }
+
+    validate = (values = this.values) => {
+        const names = this.fields.map(item => item.name).filter((name, index, names) => names.indexOf(name) == index);
+        const form = this.props.validate ? this.props.validate(values) : null;
+
+        return Promise.all([
+            Promise.all(names.map(name => this.validateField(name, values))),
+            Promise.resolve(form),
+        ]).then(([fields, form]) => {
+            const errors = Object.assign(names.reduce((errors, name, index) => {
+                if (fields[index]) errors[name] = fields[index];
+                return errors;
+            }, {}), form || {});
+            if (!this.unmounted) this.setState({ errors });
+            return errors;
+        });
+    }
+
+    setError = (name, error) => {
+        if (this.unmounted) return;
+        this.setState(state => {
+            if (state.errors[name] == error) return null;
+            const errors = { ...state.errors };
+            if (error) errors[name] = error;
+            else delete errors[name];
+            return { errors };
+        });
+    }
+
+    focusError = errors => {
+        const nodes = this.fields
+            .filter(item => errors[item.name] && item.field.node)
+            .map(item => item.field.node)
+            .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+        if (nodes.length) nodes[0].focus();
+    }
+
+    reset = (values = this.props.initialValues) => {
+        this.validations = {};
+        this.values = values;
+        this.setState({ values, errors: {}, touched: {}, submitted: false });
+    }
+
+    // Without an onSubmit handler the form still submits natively, once the fields are valid.
+    onSubmit = event => {
+        if (!this.fields.length) return this.props.onSubmit && this.props.onSubmit(event, this.values);
+
+        event.preventDefault();
+        event.persist();
+        const form = event.currentTarget;
+        const values = this.values;
+        this.setState({ submitted: true, submitting: true });
+
+        return this.validate(values).then(errors => {
+            if (Object.keys(errors).length) {
+                this.focusError(errors);
+                if (this.props.onInvalid) this.props.onInvalid(errors, event);
+                return errors;
+            }
+            if (this.props.onSubmit) return this.props.onSubmit(event, values);
+            form.submit();
+        }).then(result => {
+            if (!this.unmounted) this.setState({ submitting: false });
+            return result;
+        }, error => {
+            if (!this.unmounted) this.setState({ submitting: false });
+            this.onError(error, event);
+        });
+    }
+
+    onError = (error, event) => {
+        if (this.props.onError) this.props.onError(error, event);
+    }
+
+    onReset = event => {
+        this.reset();
+        if (this.props.onReset) this.props.onReset(event);
+    }
+}
+
+export class FieldArray extends Component {
+    static propTypes = {
+        ...Tag.propTypes,
+        name: PropTypes.string.isRequired,
+        children: PropTypes.func.isRequired,
+        defaultItem: PropTypes.any,
+        required: PropTypes.bool,
+        minLength: PropTypes.number,
+        maxLength: PropTypes.number,
+        validate: PropTypes.oneOfType([PropTypes.func, PropTypes.arrayOf(PropTypes.func)]),
+        messages: PropTypes.object,
+    }
+    static defaultProps = {
+        tag: 'section'
+    }
+    static contextTypes = {
+        form: formContext,
+    };
+
+    keys = [];
+
+    render() {
+        const { className, name, children, defaultItem, required, minLength, maxLength, validate, messages, ...props } = this.props;
+        const classes = Classnames(className, 'field-array');
+        return <Tag {...props} className={classes}>{children(this.getFields())}</Tag>
+    }
+
+    componentDidMount() {
+        this.context.form.register(this.props.name, this);
+    }
+
+    componentDidUpdate(props) {
+        if (props.name == this.props.name) return;
+        this.context.form.unregister(props.name, this);
+        this.context.form.register(this.props.name, this);
+    }
+
+    componentWillUnmount() {
+        this.context.form.unregister(this.props.name, this);
+    }
+
+    getRules = () => getRules(this.props);
+    getItems = () => this.context.form.getValue(this.props.name) || [];
+
+    getKeys = () => {
+        const length = this.getItems().length;
+        this.keys = this.keys.slice(0, length);
+        while (this.keys.length < length) this.keys.push(`field-${++keys}`);
+        return this.keys;
+    }
+
+    getFields = () => {
+        const { name } = this.props;
+        const items = this.getItems();
+        const keys = this.getKeys();
+        return {
+            name,
+            length: items.length,
+            map: callback => items.map((value, index) => callback({ key: keys[index], name: `${name}[${index}]`, index, value }, index)),
+            add: this.add,
+            insert: this.insert,
+            remove: this.remove,
+            move: this.move,
+        };
+    }
+
+    getDefaultItem = () => this.props.defaultItem instanceof Function ? this.props.defaultItem() : this.props.defaultItem;
+
+    update = (items, indexes) => {
+        const previous = this.getKeys();
+        this.keys = indexes.map(index => index == -1 ? `field-${++keys}` : previous[index]);
+        return this.context.form.setArray(this.props.name, items, indexes);
+    }
+
+    add = item => this.insert(this.getItems().length, item);
+
+    insert = (index, item = this.getDefaultItem()) => {
+        const items = [...this.getItems()];
+        const indexes = items.map((item, index) => index);
+        items.splice(index, 0, item);
+        indexes.splice(index, 0, -1);
+        return this.update(items, indexes);
+    }
+
+    remove = index => {
+        const items = [...this.getItems()];
+        const indexes = items.map((item, index) => index);
+        items.splice(index, 1);
+        indexes.splice(index, 1);
+        return this.update(items, indexes);
+    }
+
+    move = (from, to) => {
+        const items = [...this.getItems()];
+        const indexes = items.map((item, index) => index);
+        items.splice(to, 0, items.splice(from, 1)[0]);
+        indexes.splice(to, 0, indexes.splice(from, 1)[0]);
+        return this.update(items, indexes);
     }
 }
 
 export class FormFeedback extends Component {
     static propTypes = {
         ...Tag.propTypes,
+        name: PropTypes.string,
     }
     static defaultProps = {
         tag: 'section'
     }
+    static contextTypes = {
+        form: formContext,
+        formGroup: formGroupContext,
+    };
 
     render() {
-        const { className, ...props } = this.props;
-        const classes = Classnames(className, 'invalid-feedback');
-        return <Tag {...props} className={classes} />
+        const { className, children, name, ...props } = this.props;
+        const field = name || (this.context.formGroup && this.context.formGroup.getName());
+        if (!this.context.form || !field) {
+            const classes = Classnames(className, 'invalid-feedback');
+            return <Tag {...props} className={classes} children={children} />
+        }
+
+        const error = this.context.form.isVisible(field) && this.context.form.getError(field);
+        const classes = Classnames(className, 'invalid-feedback', error && 'd-block');
+        const id = this.context.formGroup ? `${this.context.formGroup.id}-feedback` : undefined;
+        return <Tag id={id} {...props} className={classes} aria-live="polite">
+            {error && (children || error)}
+        </Tag>
     }
 }
 
@@ -45,13 +371,27 @@ export class FormGroup extends Component {
         check: PropTypes.bool,
         inline: PropTypes.bool,
         disabled: PropTypes.bool,
+        name: PropTypes.string,
     }
     static defaultProps = {
         tag: 'section'
     }
+    static childContextTypes = {
+        formGroup: formGroupContext,
+    };
+
+    getChildContext = () => Object({
+        formGroup: {
+            id: this.id,
+            getName: () => this.props.name || this.name,
+            setName: name => this.name = this.name || name,
+        }
+    });
+
+    id = `form-group-${++count}`;
 
     render() {
-        const { className, row, check, inline, disabled, ...props } = this.props;
+        const { className, row, check, inline, disabled, name, ...props } = this.props;
         const classes = Classnames(className, { row }, check ? 'form-check' : 'form-group', check && inline && 'form-check-inline', check && disabled && 'disabled');
         return <Tag {...props} className={classes} />
     }
@@ -73,4 +413,4 @@ export class FormText extends Component {
         const classes = Classnames(className, !inline && 'form-text', color && `text-${color}`);
         return <Tag {...props} className={classes} />
     }
-}
\ No newline at end of file
+}
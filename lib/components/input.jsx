@@ -4,6 +4,10 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import Classnames from 'classnames';
 import Tag from './tag';
+import { formContext, formGroupContext } from '../constants/proptypes';
+import { conform, getCaret, getPattern } from '../utils/mask';
+import { formatNumber, parseNumber } from '../utils/number';
+import { getRules } from '../utils/validation';
 
 export default class Input extends Component {
     static propTypes = {
@@ -16,16 +20,49 @@ export default class Input extends Component {
         addon: PropTypes.bool,
         control: PropTypes.bool,
         indeterminate: PropTypes.bool,
+        name: PropTypes.string,
+        register: PropTypes.bool,
+        pattern: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(RegExp)]),
+        validate: PropTypes.oneOfType([PropTypes.func, PropTypes.arrayOf(PropTypes.func)]),
+        messages: PropTypes.object,
+        parse: PropTypes.func,
+        mask: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+        unmask: PropTypes.bool,
+        locale: PropTypes.string,
+        numberFormat: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
     };
 
     static defaultProps = {
         tag: 'p',
         type: 'text',
         control: true,
+        register: true,
     };
 
+    static contextTypes = {
+        form: formContext,
+        formGroup: formGroupContext,
+    };
+
+    state = { text: null };
+
     render() {
-        let { className, custom, control, type, size, valid, indeterminate, plaintext, addon, tag, ...props } = this.props;
+        let { className, custom, control, type, size, valid, indeterminate, plaintext, addon, tag, register, validate, messages, parse, mask, unmask, locale, numberFormat, ...props } = this.props;
+        if (props.pattern instanceof RegExp) props.pattern = undefined;
+        if (numberFormat) {
+            type = 'text';
+            props.inputMode = props.inputMode || 'decimal';
+            if (typeof props.defaultValue == 'number') props.defaultValue = formatNumber(props.defaultValue, locale, numberFormat);
+        }
+        if (mask || numberFormat) props.onChange = this.onChange;
+        if (numberFormat) props.onBlur = this.onBlur;
+        if (this.isRegistered()) {
+            const { form } = this.context;
+            const { defaultValue, defaultChecked, ...attr } = props;
+            props = { ...attr, ...this.getFieldProps() };
+            if (valid === undefined && form.isVisible(props.name)) valid = !form.getError(props.name);
+        }
+
         if (['textarea', 'select'].indexOf(type) != -1) tag = type;
         else if (type && !plaintext) tag = 'input';
 
@@ -46,7 +83,158 @@ export default class Input extends Component {
         if (tag != 'input') type = undefined;
 
         classes = Classnames(className, classes, valid === false && 'is-invalid', valid && 'is-valid', size && `form-control-${size}`);
-        return <Tag {...props} tag={tag} type={type} className={classes} />
+        return <Tag {...props} tag={tag} type={type} className={classes} pointer={this.setNode} />
+    }
+
+    componentWillMount() {
+        if (this.isRegistered() && this.context.formGroup) this.context.formGroup.setName(this.props.name);
+    }
+
+    componentDidMount() {
+        this.setIndeterminate();
+        if (this.isRegistered()) this.register();
+    }
+
+    componentDidUpdate(props) {
+        this.setIndeterminate();
+        if (!this.context.form) return;
+        if (props.name !== this.props.name || props.register !== this.props.register) {
+            if (props.name && props.register !== false) this.context.form.unregister(props.name, this);
+            if (this.isRegistered()) this.register();
+        } else if (this.isRegistered() && this.isControlled() && props.value !== this.props.value) {
+            this.context.form.setValue(this.props.name, this.props.value);
+        }
+    }
+
+    componentWillUnmount() {
+        if (this.isRegistered()) this.context.form.unregister(this.props.name, this);
+    }
+
+    isRegistered = () => !!(this.context.form && this.props.name && this.props.register !== false);
+    isControlled = () => this.props.value !== undefined && ['checkbox', 'radio', 'file'].indexOf(this.props.type) == -1;
+    getRules = () => getRules(this.props);
+
+    register = () => {
+        const { form } = this.context;
+        const { name, defaultValue, defaultChecked, type, value } = this.props;
+        form.register(name, this);
+
+        if (this.isControlled()) form.setValue(name, value, false);
+        else if (form.getValue(name) === undefined) {
+            if (type == 'checkbox' && defaultChecked) form.setValue(name, value === undefined ? true : [value], false);
+            else if (type == 'radio' && defaultChecked) form.setValue(name, value, false);
+            else if (defaultValue !== undefined) form.setValue(name, defaultValue, false);
+        }
+    }
+
+    getFieldProps = () => {
+        const { form, formGroup } = this.context;
+        const { name, type, multiple, checked } = this.props;
+        const value = form.getValue(name);
+        const props = { onChange: this.onChange, onBlur: this.onBlur };
+
+        if (formGroup) props['aria-describedby'] = this.props['aria-describedby'] || `${formGroup.id}-feedback`;
+        if (form.isVisible(name) && form.getError(name)) props['aria-invalid'] = true;
+
+        if (type == 'checkbox' && checked === undefined) {
+            props.checked = Array.isArray(value) ? value.indexOf(this.props.value) != -1 : !!value;
+        } else if (type == 'radio' && checked === undefined) {
+            props.checked = value !== undefined && value == this.props.value;
+        } else if (['checkbox', 'radio', 'file'].indexOf(type) == -1 && !this.isControlled()) {
+            props.value = value === undefined || value === null ? (multiple ? [] : '') : this.getText(value);
+        }
+        return props;
+    }
+
+    getText = value => {
+        const { mask, unmask, locale, numberFormat } = this.props;
+        if (numberFormat) return this.state.text !== null ? this.state.text : formatNumber(value, locale, numberFormat);
+        if (mask && unmask) return conform(value, getPattern(mask, value)).formatted;
+        return value;
+    }
+
+    // Formats the typed text in place and returns both values, the raw one being a number with numberFormat.
+    format = event => {
+        const { mask, locale, numberFormat } = this.props;
+        const { target } = event;
+        if (numberFormat) {
+            const number = parseNumber(target.value, locale, numberFormat);
+            return { raw: isNaN(number) ? target.value : number, formatted: target.value };
+        }
+        if (!mask) return undefined;
+
+        const text = target.value;
+        const pattern = getPattern(mask, text);
+        const { formatted, raw } = conform(text, pattern);
+        const count = conform(text.slice(0, target.selectionEnd), pattern).raw.length;
+        const { inputType } = event.nativeEvent || {};
+        const forward = inputType ? inputType.indexOf('delete') != 0 : text.length > (this.formatted || '').length;
+
+        this.formatted = target.value = formatted;
+        this.setCaret(getCaret(pattern, formatted, count, forward));
+        return { raw, formatted };
+    }
+
+    getEventValue = event => {
+        const { target } = event;
+        const { name, type, multiple, value } = this.props;
+        switch (type) {
+            case 'checkbox':
+                if (value === undefined) return target.checked;
+                const values = [].concat(this.context.form.getValue(name) || []).filter(item => item != value);
+                return target.checked ? [...values, value] : values;
+            case 'radio':
+                return value;
+            case 'number':
+            case 'range':
+                return target.value === '' ? '' : Number(target.value);
+            case 'file':
+                return multiple ? Array.prototype.slice.call(target.files) : target.files[0];
+            case 'select':
+                if (!multiple) return target.value;
+                return Array.prototype.filter.call(target.options, option => option.selected).map(option => option.value);
+        }
+        return target.value;
+    }
+
+    onChange = event => {
+        const values = this.format(event);
+        if (this.props.onChange) this.props.onChange(event, values);
+        if (!this.isRegistered() || this.isControlled()) return;
+
+        if (this.props.numberFormat) this.setState({ text: values.formatted });
+        const value = values ? (this.props.unmask || this.props.numberFormat ? values.raw : values.formatted) : this.getEventValue(event);
+        this.context.form.setValue(this.props.name, this.props.parse ? this.props.parse(value) : value);
+    }
+
+    onBlur = event => {
+        const { locale, numberFormat } = this.props;
+        if (numberFormat && this.isRegistered() && !this.isControlled()) this.setState({ text: null });
+        else if (numberFormat) {
+            const number = parseNumber(event.target.value, locale, numberFormat);
+            if (typeof number == 'number' && !isNaN(number) && event.target.value != formatNumber(number, locale, numberFormat)) {
+                event.target.value = formatNumber(number, locale, numberFormat);
+                if (this.props.onChange) this.props.onChange(event, { raw: number, formatted: event.target.value });
+            }
+        }
+
+        if (this.props.onBlur) this.props.onBlur(event);
+        if (this.isRegistered()) this.context.form.touch(this.props.name);
+    }
+
+    setCaret = position => {
+        if (!this.node || this.node !== document.activeElement) return;
+        if (['text', 'search', 'tel', 'url', 'password'].indexOf(this.node.type) == -1) return;
+        this.node.setSelectionRange(position, position);
+    }
+
+    setIndeterminate = () => {
+        if (this.node && this.props.type == 'checkbox') this.node.indeterminate = !!this.props.indeterminate;
+    }
+
+    setNode = node => {
+        this.node = node;
+        if (this.props.pointer instanceof Function) this.props.pointer(node);
     }
 }
 
@@ -3,7 +3,9 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import Classnames from 'classnames';
+import Portal, { isPortal } from './portal';
 import Tag from './tag';
+import { overlayContext } from '../constants/proptypes';
 import { middle } from '../constants/stylesheets';
 
 export default class Layer extends Component {
@@ -14,6 +16,7 @@ export default class Layer extends Component {
         layout: PropTypes.bool,
         center: PropTypes.bool,
         middle: PropTypes.bool,
+        portal: PropTypes.oneOfType([PropTypes.bool, PropTypes.object, PropTypes.func]),
     }
 
     static defaultProps = {
@@ -23,6 +26,10 @@ export default class Layer extends Component {
         center: true,
     };
 
+    static contextTypes = {
+        overlay: overlayContext,
+    };
+
     body = document.getElementsByTagName('body')[0];
     componentWillMount() {
         if (this.props.layout && this.props.active) {
@@ -38,16 +45,19 @@ export default class Layer extends Component {
     }
 
     render() {
-        const { active, className, color, layout, center, middle, ...props } = this.props;
+        const { active, className, color, layout, center, middle, portal, ...props } = this.props;
         if (!active) return null;
 
+        const inPortal = isPortal(this.props, this.context);
         const classes = Classnames(className, 'layer', layout && 'layer-layout', middle && 'justify-content-center', center && 'align-items-center');
-        return <Tag {...props} className={classes}>
-            <section className={Classnames('layer-backdrop', `backdrop-${color}`)}></section>
-            <section className="layer-inner">
-                {this.props.children}
-            </section>
-        </Tag>
+        return <Portal disabled={!inPortal} container={inPortal === true ? undefined : inPortal}>
+            <Tag {...props} className={classes}>
+                <section className={Classnames('layer-backdrop', `backdrop-${color}`)}></section>
+                <section className="layer-inner">
+                    {this.props.children}
+                </section>
+            </Tag>
+        </Portal>
     }
 
     componentWillUnmount() {
@@ -4,20 +4,41 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import Classnames from 'classnames';
 import Tag from './tag';
+import Virtual, { VirtualSpacer } from './virtual';
 
 export default class ListGroup extends Component {
     static propTypes = {
         ...Tag.propTypes,
         flush: PropTypes.bool,
+        virtual: PropTypes.bool,
+        count: PropTypes.number,
+        renderItem: PropTypes.func,
+        height: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+        itemHeight: PropTypes.oneOfType([PropTypes.number, PropTypes.func]),
+        overscan: PropTypes.number,
     }
     static defaultProps = {
-        tag: 'ul'
+        tag: 'ul',
+        virtual: false,
     }
 
     render() {
-        const { className, flush, ...props } = this.props;
+        const { className, flush, virtual, count, renderItem, height, itemHeight, overscan, ...props } = this.props;
         const classes = Classnames(className, 'list-group', flush && 'list-group-flush');
-        return <Tag {...props} className={classes} />
+        if (!virtual) return <Tag {...props} className={classes} />
+
+        const spacer = props.tag == 'ul' || props.tag == 'ol' ? 'li' : 'section';
+        return <Virtual ref={virtual => this.virtual = virtual} className="virtual-list-group" count={count} height={height} itemHeight={itemHeight} overscan={overscan} onRender={({ start, end, before, after }) => (
+            <Tag {...props} className={classes}>
+                <VirtualSpacer tag={spacer} position="before" height={before} />
+                {Virtual.renderRange(start, end, renderItem)}
+                <VirtualSpacer tag={spacer} position="after" height={after} />
+            </Tag>
+        )} />
+    }
+
+    scrollToIndex = (index, align) => {
+        if (this.virtual) this.virtual.scrollToIndex(index, align);
     }
 }
 
@@ -2,22 +2,208 @@
 
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
+import Classnames from 'classnames';
 import Icon from './icon';
+import Portal, { contains } from './portal';
+import Fade from './transition/fade';
+import { getFocusables } from '../utils';
+
+const keyCodes = { esc: 27, tab: 9 };
+
+// Keeps track of opened modals so nested dialogs get their own z-index,
+// only the top-most one owns the backdrop and the body stays locked until the last one closes.
+class ModalStack {
+    modals = [];
+    overflow = null;
+
+    push = modal => {
+        if (this.modals.indexOf(modal) != -1) return;
+        if (!this.modals.length) this.lock();
+        this.modals.push(modal);
+        this.notify();
+    }
+
+    remove = modal => {
+        const index = this.modals.indexOf(modal);
+        if (index == -1) return;
+        this.modals.splice(index, 1);
+        if (!this.modals.length) this.unlock();
+        this.notify();
+    }
+
+    indexOf = modal => this.modals.indexOf(modal);
+    isTop = modal => this.modals[this.modals.length - 1] === modal;
+    notify = () => this.modals.forEach(modal => modal.forceUpdate());
+
+    lock = () => {
+        this.overflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+        document.body.classList.add('modal-open');
+    }
+
+    unlock = () => {
+        document.body.style.overflow = this.overflow || '';
+        document.body.classList.remove('modal-open');
+    }
+}
+
+const stack = new ModalStack();
+let count = 0;
 
 export default class Modal extends Component {
     static propTypes = {
-        large: PropTypes.bool
+        active: PropTypes.bool,
+        backdrop: PropTypes.oneOf([true, false, 'static']),
+        container: PropTypes.oneOfType([PropTypes.object, PropTypes.func]),
+        keyboard: PropTypes.bool,
+        large: PropTypes.bool,
+        size: PropTypes.string,
+        toggle: PropTypes.func,
+        transition: PropTypes.shape(Fade.propTypes),
+        zIndex: PropTypes.number,
+    }
+
+    static defaultProps = {
+        active: true,
+        backdrop: true,
+        keyboard: true,
+        zIndex: 1050,
+    }
+
+    static childContextTypes = {
+        modal: PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            toggle: PropTypes.func,
+        })
+    };
+
+    getChildContext = () => Object({
+        modal: {
+            id: this.id,
+            toggle: this.props.toggle,
+        }
+    });
+
+    id = `modal-${++count}`;
+    state = { mounted: this.props.active };
+
+    componentWillReceiveProps(props) {
+        if (props.active && !this.state.mounted) this.setState({ mounted: true });
     }
 
     render() {
-        return [
-            <section key="modal-backdrop" className="modal-backdrop fade show" onClick={this.props.toggle}></section>,
-            <article key="modal" className={`modal fade show d-block`} onClick={this.props.toggle} style={{ overflowY: 'initial' }}>
-                <section className={`modal-dialog ${this.props.large ? 'modal-lg' : ''}`} onClick={event => event.stopPropagation()}>
-                    {this.props.children}
+        if (!this.state.mounted) return null;
+
+        const { active, backdrop, children, className, container, keyboard, large, size, toggle, transition, zIndex, ...props } = this.props;
+        const index = stack.indexOf(this);
+        if (index != -1 || this.zIndex === undefined) this.zIndex = zIndex + (index != -1 ? index : stack.modals.length) * 20;
+
+        const classes = Classnames(className, 'modal', 'd-block');
+        const dialogClasses = Classnames('modal-dialog', large && 'modal-lg', size && `modal-${size}`);
+
+        return <Portal container={container}>{[
+            backdrop && (
+                <Fade key="modal-backdrop" tag="section" className="modal-backdrop" style={{ zIndex: this.zIndex - 10 }} active={active && stack.isTop(this)} onClick={this.onBackdropClick} />
+            ),
+            <Fade key="modal" aria-labelledby={props['aria-label'] ? undefined : `${this.id}-title`} {...props} {...transition}
+                pointer={node => this.node = node}
+                className={classes}
+                style={{ ...props.style, zIndex: this.zIndex }}
+                active={active}
+                role="dialog"
+                aria-modal="true"
+                tabIndex="-1"
+                onClick={this.onBackdropClick}
+                onExited={this.onExited}
+            >
+                <section className={dialogClasses} role="document">
+                    {children}
                 </section>
-            </article>
-        ];
+            </Fade>
+        ]}</Portal>
+    }
+
+    componentDidMount() {
+        if (this.props.active) this.open();
+    }
+
+    componentDidUpdate(props) {
+        if (this.props.active !== props.active) {
+            if (this.props.active) this.open();
+            else this.close();
+        }
+    }
+
+    componentWillUnmount() {
+        this.close();
+    }
+
+    open = () => {
+        this.opener = document.activeElement;
+        stack.push(this);
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('focusin', this.onFocusIn);
+        this.focus();
+    }
+
+    close = () => {
+        if (stack.indexOf(this) == -1) return;
+        stack.remove(this);
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('focusin', this.onFocusIn);
+        if (this.opener && this.opener.focus) this.opener.focus();
+        this.opener = null;
+    }
+
+    focus = () => {
+        if (!this.node) return;
+        const focusables = getFocusables(this.node);
+        if (focusables.length) focusables[0].focus();
+        else this.node.focus();
+    }
+
+    onBackdropClick = event => {
+        if (event.target !== event.currentTarget) return;
+        if (this.props.backdrop === 'static') return;
+        if (this.props.toggle) this.props.toggle(event);
+    }
+
+    onExited = node => {
+        this.setState({ mounted: false });
+        if (this.props.transition && this.props.transition.onExited) this.props.transition.onExited(node);
+    }
+
+    onFocusIn = event => {
+        if (!stack.isTop(this) || !this.node) return;
+        if (!contains(this.node, event.target)) this.focus();
+    }
+
+    onKeyDown = event => {
+        if (!stack.isTop(this) || !this.node || event.defaultPrevented) return;
+
+        if (event.which === keyCodes.esc) {
+            if (!this.props.keyboard || !this.props.toggle) return;
+            event.preventDefault();
+            return this.props.toggle(event);
+        }
+
+        if (event.which === keyCodes.tab) {
+            const focusables = getFocusables(this.node);
+            if (!focusables.length) {
+                event.preventDefault();
+                return this.node.focus();
+            }
+
+            const first = focusables[0];
+            const last = focusables[focusables.length - 1];
+            if (event.shiftKey && [first, this.node].indexOf(document.activeElement) != -1) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && document.activeElement === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        }
     }
 };
 
@@ -27,8 +213,15 @@ export class ModalContent extends Component {
         footer: PropTypes.oneOfType([PropTypes.element, PropTypes.string])
     };
 
+    static contextTypes = {
+        modal: PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            toggle: PropTypes.func,
+        })
+    };
+
     render() {
-        let { className, style, title, toggle, footer, ...props } = this.props;
+        let { center, className, style, title, toggle, footer, ...props } = this.props;
         let classname = 'modal-content';
         if (className) classname += ' ' + className;
         style = Object.assign({}, style, { overflowY: 'auto' });
@@ -36,9 +229,9 @@ export class ModalContent extends Component {
         return <article className={classname} style={style} {...props}>
             {this.props.title && (
                 <header className="modal-header">
-                    <h4 className="d-flex justify-content-between">
+                    <h4 className="d-flex justify-content-between w-100" id={this.context.modal && `${this.context.modal.id}-title`}>
                         <span>{this.props.title}</span>
-                        {this.props.toggle && <span onClick={this.props.toggle}><Icon name="times" /></span>}
+                        {this.props.toggle && <button type="button" className="close" aria-label="Fermer" onClick={this.props.toggle}><Icon name="times" /></button>}
                     </h4>
                 </header>
             )}
@@ -69,11 +262,18 @@ export class ModalConfirm extends Component {
         onSubmit: PropTypes.func
     };
 
+    static contextTypes = {
+        modal: PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            toggle: PropTypes.func,
+        })
+    };
+
     render() {
         return <article className="modal-content" style={{ overflowY: 'auto' }}>
             { this.props.title && (
                 <header className="modal-header">
-                    <h4>{this.props.title}</h4>
+                    <h4 id={this.context.modal && `${this.context.modal.id}-title`}>{this.props.title}</h4>
                 </header>
             )}
             { this.props.children && (
@@ -0,0 +1,335 @@
+'use strict';
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import Badge from './badge';
+import Dropdown, { DropdownInner, DropdownItem } from './dropdown';
+import Input from './input';
+import Tag from './tag';
+import { formContext, formGroupContext } from '../constants/proptypes';
+import { filterOptions, fold, toOption } from '../utils/search';
+
+const keyCodes = { backspace: 8, enter: 13, esc: 27, up: 38, down: 40 };
+const option = PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.shape({
+    value: PropTypes.any,
+    label: PropTypes.node,
+    disabled: PropTypes.bool,
+    options: PropTypes.array,
+})]);
+
+let count = 0;
+
+export default class MultiSelect extends Component {
+    static propTypes = {
+        ...Tag.propTypes,
+        options: PropTypes.arrayOf(option),
+        value: PropTypes.array,
+        defaultValue: PropTypes.array,
+        name: PropTypes.string,
+        placeholder: PropTypes.string,
+        color: PropTypes.string,
+        max: PropTypes.number,
+        creatable: PropTypes.bool,
+        separator: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(RegExp)]),
+        selectAll: PropTypes.oneOfType([PropTypes.node, PropTypes.bool]),
+        empty: PropTypes.node,
+        remove: PropTypes.func,
+        disabled: PropTypes.bool,
+        required: PropTypes.bool,
+        minLength: PropTypes.number,
+        register: PropTypes.bool,
+        validate: Input.propTypes.validate,
+        messages: PropTypes.object,
+        valid: PropTypes.bool,
+        onChange: PropTypes.func,
+    };
+
+    static defaultProps = {
+        tag: 'section',
+        options: [],
+        color: 'primary',
+        creatable: false,
+        separator: /[,;\n\t]/,
+        selectAll: 'Tout sélectionner',
+        empty: 'Aucun résultat',
+        remove: label => `Retirer ${label}`,
+        register: true,
+    };
+
+    static contextTypes = {
+        form: formContext,
+        formGroup: formGroupContext,
+    };
+
+    id = `multiselect-${++count}`;
+    state = { value: this.props.defaultValue || [], text: '', active: false, index: -1 };
+
+    render() {
+        const { className, id, options, value, defaultValue, name, placeholder, color, max, creatable, separator, selectAll, empty, remove, disabled, required, minLength, register, validate, messages, valid, onChange, ...props } = this.props;
+        const { form, formGroup } = this.context;
+        const error = this.isRegistered() && form.isVisible(name) && form.getError(name);
+        const visible = valid !== undefined ? valid : (this.isRegistered() && form.isVisible(name) ? !error : undefined);
+        const items = this.getItems();
+        const values = this.getValue();
+
+        const classes = Classnames(className, 'multiselect', { disabled });
+        const controlClasses = Classnames('form-control', 'multiselect-control', visible === false && 'is-invalid', visible && 'is-valid', disabled && 'disabled');
+
+        return <Dropdown controlled {...props} className={classes} active={this.state.active && !disabled} toggle={this.close}>
+            <section className={controlClasses} onMouseDown={this.onControlMouseDown}>
+                {values.map(value => {
+                    const label = this.getLabel(value);
+                    return <Badge key={String(value)} color={color} className="multiselect-chip">
+                        {label}
+                        {!disabled && <button type="button" className="close" tabIndex={-1} aria-label={remove(label)} onMouseDown={event => event.preventDefault()} onClick={() => this.remove(value)}>
+                            <span aria-hidden="true">&times;</span>
+                        </button>}
+                    </Badge>
+                })}
+                <input className="multiselect-input" type="text" autoComplete="off"
+                    ref={node => this.node = node}
+                    id={id}
+                    value={this.state.text}
+                    placeholder={values.length ? undefined : placeholder}
+                    disabled={disabled}
+                    role="combobox"
+                    aria-autocomplete="list"
+                    aria-expanded={this.state.active}
+                    aria-controls={`${this.id}-listbox`}
+                    aria-activedescendant={this.state.active && this.state.index != -1 ? `${this.id}-option-${this.state.index}` : undefined}
+                    aria-describedby={props['aria-describedby'] || (this.isRegistered() && formGroup ? `${formGroup.id}-feedback` : undefined)}
+                    aria-invalid={error ? true : undefined}
+                    aria-required={required || undefined}
+                    onChange={this.onChange}
+                    onFocus={this.open}
+                    onBlur={this.onBlur}
+                    onKeyDown={this.onKeyDown}
+                    onPaste={this.onPaste}
+                />
+            </section>
+            <DropdownInner className="multiselect-menu" id={`${this.id}-listbox`} role="listbox" aria-multiselectable="true">
+                {items.map(this.renderItem)}
+                {!items.some(item => item.option) && <DropdownItem header role="presentation">{empty}</DropdownItem>}
+            </DropdownInner>
+        </Dropdown>
+    }
+
+    renderItem = (item, index) => {
+        if (item.header) return <DropdownItem key={`header-${index}`} header role="presentation">{item.label}</DropdownItem>
+
+        const active = index == this.state.index;
+        const checked = item.all ? this.isAllSelected() : this.isSelected(item.option.value);
+        const disabled = item.all ? !this.canSelectAll() : this.isDisabled(item.option);
+        return <DropdownItem key={item.all ? 'all' : `option-${index}`} id={`${this.id}-option-${index}`}
+            tag="section"
+            className={Classnames('multiselect-option', item.all && 'multiselect-all')}
+            role="option"
+            tabIndex={-1}
+            active={active}
+            disabled={disabled}
+            aria-selected={checked}
+            aria-disabled={disabled || undefined}
+            onMouseDown={event => event.preventDefault()}
+            onMouseEnter={() => this.setState({ index })}
+            onClick={() => this.toggle(item)}>
+            <Input type="checkbox" control={false} className="mr-2" tabIndex={-1} aria-hidden="true" readOnly checked={checked} disabled={disabled} indeterminate={item.all && !checked && this.getValue().length > 0} />
+            {item.all ? this.props.selectAll : item.option.label}
+        </DropdownItem>
+    }
+
+    componentWillMount() {
+        if (this.isRegistered() && this.context.formGroup) this.context.formGroup.setName(this.props.name);
+    }
+
+    componentDidMount() {
+        if (this.isRegistered()) this.register();
+    }
+
+    componentDidUpdate(props) {
+        if (!this.context.form || (props.name === this.props.name && props.register === this.props.register)) return;
+        if (props.name && props.register !== false) this.context.form.unregister(props.name, this);
+        if (this.isRegistered()) this.register();
+    }
+
+    componentWillUnmount() {
+        if (this.isRegistered()) this.context.form.unregister(this.props.name, this);
+    }
+
+    isRegistered = () => !!(this.context.form && this.props.name && this.props.register !== false);
+    getRules = () => ({ required: this.props.required, minLength: this.props.minLength, validate: this.props.validate, messages: this.props.messages });
+
+    register = () => {
+        const { form } = this.context;
+        form.register(this.props.name, this);
+        if (this.props.value !== undefined) form.setValue(this.props.name, this.props.value, false);
+        else if (form.getValue(this.props.name) === undefined && this.props.defaultValue !== undefined) form.setValue(this.props.name, this.props.defaultValue, false);
+    }
+
+    getValue = () => {
+        if (this.props.value !== undefined) return this.props.value || [];
+        if (this.isRegistered()) return this.context.form.getValue(this.props.name) || [];
+        return this.state.value;
+    }
+
+    setValue = value => {
+        if (this.isRegistered()) this.context.form.setValue(this.props.name, value);
+        else if (this.props.value === undefined) this.setState({ value });
+        if (this.props.onChange) this.props.onChange(value);
+    }
+
+    getOptions = () => this.props.options.reduce((options, option) => {
+        if (option instanceof Object && Array.isArray(option.options)) return options.concat(option.options.map(toOption));
+        return options.concat(toOption(option));
+    }, []);
+
+    getLabel = value => {
+        const option = this.getOptions().find(option => option.value === value);
+        return option ? option.label : String(value);
+    }
+
+    // Flattens the groups into headers and options matching the typed text, "select all" first.
+    getItems = () => {
+        const query = this.state.text.trim();
+        const items = [];
+        this.props.options.forEach(option => {
+            if (!(option instanceof Object) || !Array.isArray(option.options)) {
+                return filterOptions([toOption(option)], query).forEach(option => items.push({ option }));
+            }
+            const options = filterOptions(option.options.map(toOption), query);
+            if (!options.length) return;
+            items.push({ header: true, label: option.label });
+            options.forEach(option => items.push({ option }));
+        });
+        if (this.props.selectAll && items.some(item => item.option)) items.unshift({ all: true });
+        return items;
+    }
+
+    getSelectable = () => this.getItems().filter(item => item.option && !item.option.disabled).map(item => item.option);
+
+    isSelected = value => this.getValue().indexOf(value) != -1;
+    isFull = () => this.props.max !== undefined && this.getValue().length >= this.props.max;
+    isDisabled = option => !!option.disabled || (!this.isSelected(option.value) && this.isFull());
+    isAllSelected = () => {
+        const options = this.getSelectable();
+        return options.length > 0 && options.every(option => this.isSelected(option.value));
+    }
+    canSelectAll = () => {
+        if (this.props.max === undefined || this.isAllSelected()) return true;
+        const missing = this.getSelectable().filter(option => !this.isSelected(option.value)).length;
+        return this.getValue().length + missing <= this.props.max;
+    }
+
+    add = values => {
+        const current = this.getValue();
+        const added = values.filter((value, index) => current.indexOf(value) == -1 && values.indexOf(value) == index);
+        const room = this.props.max === undefined ? added.length : Math.max(0, this.props.max - current.length);
+        if (added.length && room) this.setValue([...current, ...added.slice(0, room)]);
+    }
+
+    remove = value => {
+        this.setValue(this.getValue().filter(item => item !== value));
+        if (this.node) this.node.focus();
+    }
+
+    toggle = item => {
+        if (item.all) {
+            if (!this.canSelectAll()) return;
+            const values = this.getSelectable().map(option => option.value);
+            if (this.isAllSelected()) return this.setValue(this.getValue().filter(value => values.indexOf(value) == -1));
+            return this.add(values);
+        }
+        if (this.isDisabled(item.option)) return;
+        if (this.isSelected(item.option.value)) return this.remove(item.option.value);
+        this.add([item.option.value]);
+    }
+
+    // Matches typed or pasted labels against the options, unknown ones are only kept when creatable.
+    resolve = texts => {
+        const options = this.getOptions();
+        return texts.map(text => text.trim()).filter(text => text).reduce((values, text) => {
+            const option = options.find(option => fold(option.label) == fold(text) || fold(option.value) == fold(text));
+            if (option && !option.disabled) values.push(option.value);
+            else if (!option && this.props.creatable) values.push(text);
+            return values;
+        }, []);
+    }
+
+    move = direction => {
+        const items = this.getItems();
+        let index = this.state.index;
+        for (let step = 0; step < items.length; step++) {
+            index = index == -1 ? (direction > 0 ? 0 : items.length - 1) : (index + direction + items.length) % items.length;
+            const item = items[index];
+            if (!item.header && !(item.all ? !this.canSelectAll() : this.isDisabled(item.option))) return this.setState({ index });
+        }
+    }
+
+    open = () => {
+        if (this.props.disabled) return;
+        this.setState({ active: true });
+    }
+
+    close = () => {
+        this.setState({ active: false, index: -1 });
+    }
+
+    onControlMouseDown = event => {
+        if (event.target === this.node) return;
+        event.preventDefault();
+        if (this.node) this.node.focus();
+        this.open();
+    }
+
+    onChange = event => {
+        const text = event.target.value;
+        const parts = text.split(this.props.separator);
+        if (parts.length > 1) {
+            this.add(this.resolve(parts.slice(0, -1)));
+            return this.setState({ text: parts[parts.length - 1], active: true, index: -1 });
+        }
+        this.setState({ text, active: true, index: -1 });
+    }
+
+    onPaste = event => {
+        const text = (event.clipboardData || window.clipboardData).getData('text');
+        const parts = text.split(this.props.separator);
+        if (parts.length < 2) return;
+        event.preventDefault();
+        this.add(this.resolve(parts));
+    }
+
+    onBlur = event => {
+        if (this.props.creatable && this.state.text.trim()) this.add(this.resolve([this.state.text]));
+        this.setState({ text: '' });
+        this.close();
+        if (this.isRegistered()) this.context.form.touch(this.props.name);
+    }
+
+    onKeyDown = event => {
+        switch (event.which) {
+            case keyCodes.backspace:
+                if (this.state.text || !this.getValue().length) return;
+                event.preventDefault();
+                return this.remove(this.getValue()[this.getValue().length - 1]);
+            case keyCodes.down:
+            case keyCodes.up:
+                event.preventDefault();
+                if (!this.state.active) return this.open();
+                return this.move(event.which == keyCodes.down ? 1 : -1);
+            case keyCodes.enter:
+                if (this.state.active && this.state.index != -1) {
+                    event.preventDefault();
+                    return this.toggle(this.getItems()[this.state.index]);
+                }
+                if (!this.state.text.trim()) return;
+                event.preventDefault();
+                this.add(this.resolve([this.state.text]));
+                return this.setState({ text: '' });
+            case keyCodes.esc:
+                if (!this.state.active) return;
+                event.preventDefault();
+                return this.close();
+        }
+    }
+}
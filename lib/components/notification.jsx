@@ -0,0 +1,195 @@
+'use strict';
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import Badge from './badge';
+import { ButtonIcon } from './button';
+import Icon from './icon';
+import ListGroup, { ListGroupItem } from './listgroup';
+import Popover, { PopoverBody, PopoverHeader, PopoverInner, PopoverToggle } from './popover';
+import { toast } from './toast';
+import { addDays, formatDate, isSameDay, startOfDay } from '../utils/date';
+import { local } from '../utils/storage';
+
+let centers = [];
+let count = 0;
+
+const push = (color, message, options = {}) => {
+    if (typeof options == 'string') options = { title: options };
+    const item = {
+        id: options.id || `notification-${Date.now()}-${++count}`,
+        color,
+        title: options.title,
+        message,
+        date: new Date(options.date || Date.now()).toISOString(),
+        read: !!options.read,
+        data: options.data,
+    };
+    centers.forEach(center => center.push(item));
+    if (options.toast) toast[color](message, options.toast === true ? { title: options.title } : options.toast);
+    return item.id;
+};
+
+export const notification = {
+    success: (message, options) => push('success', message, options),
+    info: (message, options) => push('info', message, options),
+    warning: (message, options) => push('warning', message, options),
+    danger: (message, options) => push('danger', message, options),
+};
+
+export default class NotificationCenter extends Component {
+    static propTypes = {
+        className: PropTypes.string,
+        storage: PropTypes.shape({
+            load: PropTypes.func.isRequired,
+            save: PropTypes.func.isRequired,
+            subscribe: PropTypes.func,
+        }),
+        max: PropTypes.number,
+        locale: PropTypes.string,
+        color: PropTypes.string,
+        direction: PopoverInner.propTypes.direction,
+        title: PropTypes.string,
+        empty: PropTypes.node,
+        mark_all_text: PropTypes.string,
+        onClick: PropTypes.func,
+        onChange: PropTypes.func,
+        onError: PropTypes.func,
+    };
+
+    static defaultProps = {
+        max: 100,
+        color: 'link',
+        direction: 'bottom',
+        title: 'Notifications',
+        empty: 'Aucune notification',
+        mark_all_text: 'Tout marquer comme lu',
+    };
+
+    state = { items: [] };
+    storage = this.props.storage || local('notifications');
+
+    componentDidMount() {
+        centers.push(this);
+        // A history that cannot be read is started afresh, it is still saved from then on.
+        new Promise(resolve => resolve(this.storage.load())).then(items => {
+            if (this.unmounted) return;
+            // Notifications pushed while the history was loading are kept along with it.
+            this.loaded = true;
+            this.setState(state => {
+                const ids = state.items.map(item => item.id);
+                return { items: this.sort([...state.items, ...(items || []).filter(item => ids.indexOf(item.id) == -1)]) };
+            });
+        }, error => {
+            this.loaded = true;
+            this.onError(error);
+        });
+        if (this.storage.subscribe) this.unsubscribe = this.storage.subscribe(items => this.setState({ items: this.sort(items || []) }));
+    }
+
+    componentDidUpdate(props, state) {
+        if (this.state.items === state.items) return;
+        if (this.loaded) new Promise(resolve => resolve(this.storage.save(this.state.items))).catch(this.onError);
+        if (this.props.onChange) this.props.onChange(this.state.items);
+    }
+
+    componentWillUnmount() {
+        this.unmounted = true;
+        centers = centers.filter(center => center !== this);
+        if (this.unsubscribe) this.unsubscribe();
+    }
+
+    render() {
+        const { className, color, direction, title, empty, mark_all_text } = this.props;
+        const classes = Classnames(className, 'notification-center');
+        const unread = this.getUnread();
+        const label = unread ? `${title}, ${unread} non lue${unread > 1 ? 's' : ''}` : title;
+
+        return <Popover tag="section" trigger="click" className={classes}>
+            <PopoverToggle tag={ButtonIcon} name="bell" color={color} className="notification-toggle" aria-label={label}>
+                {unread > 0 && <Badge pill color="danger" className="notification-count" aria-hidden="true">{unread > 99 ? '99+' : unread}</Badge>}
+            </PopoverToggle>
+            <PopoverInner arrow direction={direction} className="notification-menu" role="dialog" aria-label={title}>
+                <PopoverHeader className="notification-header">
+                    {title}
+                    <button type="button" className="btn btn-link btn-sm notification-mark-all" disabled={!unread} onClick={this.markAllAsRead}>{mark_all_text}</button>
+                </PopoverHeader>
+                <PopoverBody className="notification-body">
+                    {this.state.items.length == 0 && <p className="notification-empty">{empty}</p>}
+                    {this.getGroups().map(group => <section key={group.key} className="notification-group">
+                        <h6 className="notification-day">{group.label}</h6>
+                        <ListGroup flush>{group.items.map(this.renderItem)}</ListGroup>
+                    </section>)}
+                </PopoverBody>
+            </PopoverInner>
+        </Popover>
+    }
+
+    renderItem = item => {
+        const classes = Classnames('notification', `notification-${item.color}`, !item.read && 'notification-unread');
+        const time = new Date(item.date).toLocaleTimeString(this.props.locale, { hour: '2-digit', minute: '2-digit' });
+
+        return <ListGroupItem key={item.id} className={classes}>
+            <button type="button" className="notification-content" onClick={event => this.onClick(event, item)} aria-label={!item.read ? `${item.title || item.message} (non lue)` : undefined}>
+                {item.title && <strong className="notification-title">{item.title}</strong>}
+                <span className="notification-message">{item.message}</span>
+                <time className="notification-time" dateTime={item.date}>{time}</time>
+            </button>
+            <button type="button" className="close notification-remove" aria-label="Supprimer" onClick={() => this.remove(item.id)}>
+                <Icon name="times" />
+            </button>
+        </ListGroupItem>
+    }
+
+    getUnread = () => this.state.items.filter(item => !item.read).length;
+
+    getGroups = () => {
+        const today = startOfDay(new Date());
+        const yesterday = addDays(today, -1);
+        const groups = [];
+        this.state.items.forEach(item => {
+            const date = new Date(item.date);
+            const key = startOfDay(date).getTime();
+            let group = groups.find(group => group.key == key);
+            if (!group) {
+                let label = formatDate(date, this.props.locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+                if (isSameDay(date, today)) label = 'Aujourd\'hui';
+                else if (isSameDay(date, yesterday)) label = 'Hier';
+                groups.push(group = { key, label, items: [] });
+            }
+            group.items.push(item);
+        });
+        return groups;
+    }
+
+    sort = items => items.slice().sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, this.props.max);
+
+    // Pushes can come in bursts from outside React, each one must see the previous.
+    push = item => {
+        this.setState(state => ({ items: this.sort([item, ...state.items.filter(other => other.id != item.id)]) }));
+    }
+
+    markAsRead = id => {
+        this.setState({ items: this.state.items.map(item => item.id == id && !item.read ? { ...item, read: true } : item) });
+    }
+
+    markAllAsRead = () => {
+        this.setState({ items: this.state.items.map(item => item.read ? item : { ...item, read: true }) });
+    }
+
+    remove = id => {
+        this.setState({ items: this.state.items.filter(item => item.id != id) });
+    }
+
+    clear = () => this.setState({ items: [] });
+
+    onError = error => {
+        if (this.props.onError) this.props.onError(error);
+    }
+
+    onClick = (event, item) => {
+        this.markAsRead(item.id);
+        if (this.props.onClick) this.props.onClick(event, item);
+    }
+}
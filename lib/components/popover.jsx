@@ -6,53 +6,71 @@ import PropTypes from 'prop-types';
 import Classnames from 'classnames';
 import Fade from './transition/fade';
 import Tag from './tag';
+import Portal, { contains, isPortal } from './portal';
+import { overlayContext } from '../constants/proptypes';
+import { observe, position } from '../utils/position';
+import { getDelay, getTriggers, longPress, Trigger } from '../utils/trigger';
+
+const keyCodes = { tab: 9, esc: 27 };
+const trigger = PropTypes.oneOfType([PropTypes.string, PropTypes.arrayOf(PropTypes.oneOf(['hover', 'focus', 'click', 'longpress', 'manual']))]);
+const popoverContext = PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    active: PropTypes.bool.isRequired,
+    trigger: PropTypes.arrayOf(PropTypes.string).isRequired,
+    enable: PropTypes.func,
+    disable: PropTypes.func,
+    toggle: PropTypes.func,
+    contains: PropTypes.func.isRequired,
+    setTarget: PropTypes.func.isRequired,
+    getTarget: PropTypes.func.isRequired,
+});
+
+let count = 0;
 
 class PopoverControlled extends Component {
     static propTypes = {
         ...Tag.propTypes,
         active: PropTypes.bool,
+        trigger,
         enable: PropTypes.func,
         disable: PropTypes.func,
         toggle: PropTypes.func,
+        close: PropTypes.func,
     }
 
     static defaultProps = {
         tag: 'span',
+        trigger: 'hover click',
     }
 
     static childContextTypes = {
-        popover: PropTypes.shape({
-            active: PropTypes.bool.isRequired,
-            inside: PropTypes.bool,
-            enable: PropTypes.func,
-            disable: PropTypes.func,
-            toggle: PropTypes.func,
-            setTarget: PropTypes.func.isRequired,
-            getTarget: PropTypes.func.isRequired,
-        })
+        popover: popoverContext,
     };
 
     getChildContext = () => Object({
         popover: {
-            inside: false,
-            active: this.props.active,
+            id: this.id,
+            active: !!this.props.active,
+            trigger: getTriggers(this.props.trigger),
             enable: this.props.enable,
             disable: this.props.disable,
             toggle: this.props.toggle,
+            contains: node => contains(ReactDOM.findDOMNode(this), node),
             setTarget: node => this.target = node,
             getTarget: () => this.target,
         }
     });
 
+    id = `popover-${++count}`;
+
     render() {
-        const { active, className, direction, enable, disable, toggle, ...props } = this.props;
+        const { active, className, direction, trigger, enable, disable, toggle, close, ...props } = this.props;
         const classes = Classnames(className, 'popover');
         return <Tag {...props} className={classes} />
     }
 
     componentDidMount() {
         if (this.props.active) this.addEvents();
-        else this.removeEvents();
     }
 
     componentDidUpdate(props) {
@@ -68,40 +86,67 @@ class PopoverControlled extends Component {
         document.addEventListener('click', this.onClick, true);
         document.addEventListener('touchstart', this.onClick, true);
         document.addEventListener('keyup', this.onClick, true);
+        document.addEventListener('keydown', this.onKeyDown, true);
     }
-    
+
     removeEvents = () => {
         document.removeEventListener('click', this.onClick, true);
         document.removeEventListener('touchstart', this.onClick, true);
         document.removeEventListener('keyup', this.onClick, true);
+        document.removeEventListener('keydown', this.onKeyDown, true);
+    }
+
+    onClick = event => {
+        if (!this.props.close || (event.type == 'keyup' && event.which != keyCodes.tab)) return;
+        if (!contains(ReactDOM.findDOMNode(this), event.target)) this.props.close(event);
+    }
+
+    onKeyDown = event => {
+        if (event.which != keyCodes.esc || !this.props.close) return;
+        event.preventDefault();
+        const inside = contains(ReactDOM.findDOMNode(this), document.activeElement);
+        this.props.close(event);
+        if (inside && this.target && this.target.focus) this.target.focus();
     }
 }
 
 export default class Popover extends Component {
     static propTypes = {
         controlled: PropTypes.bool,
+        active: PropTypes.bool,
+        trigger,
+        delay: PropTypes.oneOfType([PropTypes.number, PropTypes.shape({ show: PropTypes.number, hide: PropTypes.number })]),
+        onToggle: PropTypes.func,
+    }
+
+    static defaultProps = {
+        trigger: 'hover click',
+        delay: { show: 0, hide: 300 },
     }
 
-    state = { focused: false, hovered: false, inside: false };
-    enable = () => this.setState({ hovered: true, inside: true });
-    disable = () => this.setState({ hovered: false });
-    toggle = () => this.setState({ focused: !this.state.focused });
+    state = { active: false };
+    trigger = new Trigger(active => {
+        this.setState({ active });
+        if (this.props.onToggle) this.props.onToggle(active);
+    });
 
-    componentWillUpdate(props, state) {
-        if (!state.hovered && state.hovered != this.state.hovered) {
-            if (this.timeout) clearTimeout(this.timeout);
-            this.timeout = setTimeout(() => this.setState({ inside: this.state.hovered }), 300);
-        }
+    enable = (source = 'hover') => this.trigger.set(source, true, getDelay(this.props.delay).show);
+    disable = (source = 'hover') => this.trigger.set(source, false, getDelay(this.props.delay).hide);
+    toggle = (source = 'click') => this.trigger.set(source, !this.trigger.is(source));
+
+    close = () => {
+        this.trigger.reset();
+        if (this.props.active !== undefined && this.props.onToggle) this.props.onToggle(false);
     }
 
     render() {
-        let { controlled, ...props } = this.props;
-        if (controlled) return <PopoverControlled {...props} />
-        return <PopoverControlled {...props} active={this.state.focused || this.state.inside} enable={this.enable} disable={this.disable} toggle={this.toggle} />
+        let { controlled, active, delay, onToggle, ...props } = this.props;
+        if (controlled) return <PopoverControlled {...props} active={active} />
+        return <PopoverControlled {...props} active={active !== undefined ? active : this.state.active} enable={this.enable} disable={this.disable} toggle={this.toggle} close={this.close} />
     }
 
     componentWillUnmount() {
-        if (this.timeout) clearTimeout(this.timeout);
+        this.trigger.cancel();
     }
 }
 
@@ -109,6 +154,8 @@ export class PopoverInner extends Component {
     static propTypes = {
         arrow: PropTypes.oneOfType([PropTypes.bool, PropTypes.string, PropTypes.number]),
         direction: PropTypes.oneOf(['auto', 'top','bottom','left','right']),
+        flip: PropTypes.bool,
+        portal: PropTypes.oneOfType([PropTypes.bool, PropTypes.object, PropTypes.func]),
         ...Tag.propTypes,
         transition: PropTypes.shape(Fade.propTypes),
     }
@@ -116,29 +163,34 @@ export class PopoverInner extends Component {
     static defaultProps = {
         tag: 'article',
         direction: 'auto',
+        flip: true,
     }
 
     static contextTypes = {
-        popover: PropTypes.shape({
-            active: PropTypes.bool.isRequired,
-            enable: PropTypes.func,
-            disable: PropTypes.func,
-            toggle: PropTypes.func,
-            setTarget: PropTypes.func.isRequired,
-            getTarget: PropTypes.func.isRequired,
-        })
+        popover: popoverContext,
+        overlay: overlayContext,
     }
 
+    state = { placement: null };
+
     render() {
-        const { active } = this.context.popover;
-        const { arrow, className, children, direction, transition, ...props } = this.props;
-        const classes = Classnames(className, 'popover-inner', `popover-${this.props.direction}`, { active });
+        const { active, id } = this.context.popover;
+        const { arrow, className, children, direction, flip, portal, pointer, transition, ...props } = this.props;
+        const inPortal = isPortal(this.props, this.context);
+        const classes = Classnames(className, inPortal && 'popover', 'popover-inner', `popover-${this.state.placement || direction}`, { active });
         const arrowClasses = Classnames(className, 'arrow', arrow === true && 'arrow-middle');
 
-        return <Fade {...props} {...transition} className={classes} active={this.context.popover.active} role="popover" onMouseEnter={this.onMouseEnter} onMouseLeave={this.onMouseLeave}>
-            {arrow && <section className={arrowClasses} />}
-            {children}
-        </Fade>
+        return <Portal disabled={!inPortal} container={inPortal === true ? undefined : inPortal}>
+            <Fade id={id} {...props} {...transition} pointer={this.setNode} className={classes} active={active} role="popover"
+                onMouseEnter={this.onMouseEnter}
+                onMouseLeave={this.onMouseLeave}
+                onFocus={this.onFocus}
+                onBlur={this.onBlur}
+            >
+                {arrow && <section className={arrowClasses} />}
+                {children}
+            </Fade>
+        </Portal>
     }
 
     componentDidMount() {
@@ -149,55 +201,49 @@ export class PopoverInner extends Component {
         this.componentDidRendered();
     }
 
+    componentWillUnmount() {
+        this.unobserve();
+    }
+
     componentDidRendered() {
-        if (this.context.popover.active) {
-            const popper = ReactDOM.findDOMNode(this);
-            const target = this.context.popover.getTarget();
-            this.setOffsetLeft(target, popper, this.props.direction);
-            this.setOffsetTop(target, popper, this.props.direction);
-        }
+        const popper = this.node;
+        if (!this.context.popover.active || !popper) return this.unobserve();
+
+        const placement = position(this.context.popover.getTarget(), popper, { direction: this.props.direction, flip: this.props.flip });
+        if (placement && placement != this.state.placement) this.setState({ placement });
+        if (!this.observer) this.observer = observe(() => this.componentDidRendered());
+    }
+
+    unobserve = () => {
+        if (this.observer) this.observer();
+        this.observer = null;
     }
 
+    setNode = node => {
+        this.node = node;
+        if (this.props.pointer instanceof Function) this.props.pointer(node);
+    }
+
+    has = (trigger, action) => this.context.popover.trigger.indexOf(trigger) != -1 && !!this.context.popover[action];
+
     onMouseEnter = event => {
         if (this.props.onMouseEnter) this.props.onMouseEnter(event);
-        this.context.popover.enable();
-    } 
+        if (this.has('hover', 'enable')) this.context.popover.enable('hover');
+    }
 
     onMouseLeave = event => {
         if (this.props.onMouseLeave) this.props.onMouseLeave(event);
-        this.context.popover.disable();
-    }
-
-    setOffsetLeft = (target, popper, direction) => {
-        switch (direction) {
-            case 'left':
-                popper.style.left = 'auto';
-                popper.style.right = `${target.offsetWidth}px`;
-                break;
-            case 'right':
-                popper.style.left = `${target.offsetWidth}px`;
-                break;
-            case 'bottom':
-            case 'top':
-                popper.style.left = `${target.offsetWidth / 2 - popper.offsetWidth / 2}px`;
-                break;
-        }
+        if (this.has('hover', 'disable')) this.context.popover.disable('hover');
     }
 
-    setOffsetTop = (target, popper, direction) => {
-        switch (direction) {
-            case 'top':
-                popper.style.top = 'auto';
-                popper.style.bottom = `${target.offsetHeight}px`;
-                break;
-            case 'bottom':
-                popper.style.top = `${target.offsetHeight}px`;
-                break;
-            case 'left':
-            case 'right':
-                popper.style.top = `${target.offsetHeight / 2 - popper.offsetHeight / 2}px`;
-                break;
-        }
+    onFocus = event => {
+        if (this.props.onFocus) this.props.onFocus(event);
+        if (this.has('focus', 'enable')) this.context.popover.enable('focus');
+    }
+
+    onBlur = event => {
+        if (this.props.onBlur) this.props.onBlur(event);
+        if (this.has('focus', 'disable') && !this.context.popover.contains(event.relatedTarget)) this.context.popover.disable('focus');
     }
 }
 
@@ -211,39 +257,96 @@ export class PopoverToggle extends Component {
     }
 
     static contextTypes = {
-        popover: PropTypes.shape({
-            active: PropTypes.bool.isRequired,
-            enable: PropTypes.func,
-            disable: PropTypes.func,
-            toggle: PropTypes.func,
-            setTarget: PropTypes.func.isRequired,
-            getTarget: PropTypes.func.isRequired,
-        })
-    }        
+        popover: popoverContext,
+    }
 
     render() {
         const { className, ...props } = this.props;
+        const { active, id, trigger } = this.context.popover;
         const classes = Classnames(className, 'popover-toggle');
-        return <Tag {...props} className={classes} onMouseDown={this.onMouseDown} onMouseEnter={this.onMouseEnter} onMouseLeave={this.onMouseLeave} />
+        const aria = {};
+        if (trigger.indexOf('click') != -1) {
+            aria['aria-expanded'] = props['aria-expanded'] !== undefined ? props['aria-expanded'] : active;
+            aria['aria-controls'] = props['aria-controls'] || id;
+        } else if (trigger.indexOf('manual') == -1) {
+            aria['aria-describedby'] = [props['aria-describedby'], id].filter(id => id).join(' ');
+        }
+
+        return <Tag {...props} {...aria} className={classes}
+            onMouseEnter={this.onMouseEnter}
+            onMouseLeave={this.onMouseLeave}
+            onFocus={this.onFocus}
+            onBlur={this.onBlur}
+            onClick={this.onClick}
+            onTouchStart={this.onTouchStart}
+            onTouchMove={this.onTouchMove}
+            onTouchEnd={this.onTouchEnd}
+        />
     }
 
     componentDidMount() {
         this.context.popover.setTarget(ReactDOM.findDOMNode(this));
     }
 
+    componentWillUnmount() {
+        if (this.press) clearTimeout(this.press);
+    }
+
+    has = (trigger, action) => this.context.popover.trigger.indexOf(trigger) != -1 && !!this.context.popover[action];
+
+    // Browsers emulate mouse events after a touch, they must not open the popover a long press handles.
+    isTouch = () => this.has('longpress', 'enable') && this.touched && Date.now() - this.touched < 1000;
+
     onMouseEnter = event => {
         if (this.props.onMouseEnter) this.props.onMouseEnter(event);
-        if (this.context.popover.enable) this.context.popover.enable(event);
+        if (this.has('hover', 'enable') && !this.isTouch()) this.context.popover.enable('hover');
     }
 
     onMouseLeave = event => {
         if (this.props.onMouseLeave) this.props.onMouseLeave(event);
-        if (this.context.popover.disable) this.context.popover.disable(event);
+        if (this.has('hover', 'disable')) this.context.popover.disable('hover');
+    }
+
+    onFocus = event => {
+        if (this.props.onFocus) this.props.onFocus(event);
+        if (this.has('focus', 'enable') && !this.isTouch()) this.context.popover.enable('focus');
+    }
+
+    onBlur = event => {
+        if (this.props.onBlur) this.props.onBlur(event);
+        if (this.has('focus', 'disable') && !this.context.popover.contains(event.relatedTarget)) this.context.popover.disable('focus');
+    }
+
+    onClick = event => {
+        if (this.props.onClick) this.props.onClick(event);
+        if (this.has('click', 'toggle')) this.context.popover.toggle('click');
+    }
+
+    onTouchStart = event => {
+        if (this.props.onTouchStart) this.props.onTouchStart(event);
+        if (!this.has('longpress', 'enable')) return;
+        this.touched = Date.now();
+        if (this.press) clearTimeout(this.press);
+        this.press = setTimeout(() => {
+            this.pressed = true;
+            this.context.popover.enable('press');
+        }, longPress);
     }
 
-    onMouseDown = event => {
-        if (this.props.onMouseDown) this.props.onMouseDown(event);
-        if (this.context.popover.toggle) this.context.popover.toggle(event);
+    onTouchMove = event => {
+        if (this.props.onTouchMove) this.props.onTouchMove(event);
+        if (this.press) clearTimeout(this.press);
+    }
+
+    onTouchEnd = event => {
+        if (this.props.onTouchEnd) this.props.onTouchEnd(event);
+        if (this.press) clearTimeout(this.press);
+        this.touched = Date.now();
+        if (!this.pressed) return;
+
+        event.preventDefault();
+        this.pressed = false;
+        if (this.context.popover.disable) this.context.popover.disable('press');
     }
 }
 
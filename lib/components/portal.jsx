@@ -0,0 +1,128 @@
+'use strict';
+
+import React, { Component } from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import { overlayContext } from '../constants/proptypes';
+
+const container = PropTypes.oneOfType([PropTypes.object, PropTypes.func]);
+
+// Each rendered portal node points back to the anchor left where the portal sits in the tree.
+const anchors = new Map();
+
+const resolve = node => node instanceof Function ? node() : node;
+
+// Like Node.contains, but a node rendered through a portal belongs to the element holding the portal.
+export const contains = (parent, node) => {
+    for (; node; node = anchors.get(node) || node.parentNode) {
+        if (node === parent) return true;
+    }
+    return false;
+};
+
+export const querySelectorAll = (parent, selector) => {
+    const nodes = Array.prototype.slice.call(parent.querySelectorAll(selector));
+    anchors.forEach((anchor, host) => {
+        if (contains(parent, anchor)) nodes.push(...host.querySelectorAll(selector));
+    });
+    return nodes;
+};
+
+export const isPortal = (props, context) => props.portal !== undefined ? props.portal : !!(context.overlay && context.overlay.portal);
+
+export default class Portal extends Component {
+    static propTypes = {
+        container,
+        disabled: PropTypes.bool,
+    };
+
+    static contextTypes = {
+        overlay: overlayContext,
+    };
+
+    render() {
+        if (this.props.disabled) return this.props.children || null;
+        return [
+            <span key="portal-anchor" className="portal-anchor" hidden ref={this.setAnchor} />,
+            ReactDOM.createPortal(this.props.children, this.getHost()),
+        ];
+    }
+
+    componentWillUnmount() {
+        this.removeHost();
+    }
+
+    componentDidUpdate() {
+        if (this.props.disabled) this.removeHost();
+    }
+
+    getContainer = () => {
+        const { overlay } = this.context;
+        return resolve(this.props.container) || (overlay && overlay.getContainer()) || document.body;
+    }
+
+    // The host is attached before the children mount, so they can measure and focus themselves right away.
+    getHost = () => {
+        if (!this.host) {
+            this.host = document.createElement('div');
+            this.host.className = 'portal';
+        }
+        const container = this.getContainer();
+        if (this.host.parentNode !== container) container.appendChild(this.host);
+        if (this.anchor) anchors.set(this.host, this.anchor);
+        return this.host;
+    }
+
+    removeHost = () => {
+        if (!this.host) return;
+        anchors.delete(this.host);
+        if (this.host.parentNode) this.host.parentNode.removeChild(this.host);
+        this.host = null;
+    }
+
+    setAnchor = node => {
+        this.anchor = node;
+        if (node && this.host) anchors.set(this.host, node);
+    }
+}
+
+export class OverlayContainer extends Component {
+    static propTypes = {
+        container,
+        portal: PropTypes.bool,
+    };
+
+    static defaultProps = {
+        portal: false,
+    };
+
+    static childContextTypes = {
+        overlay: overlayContext,
+    };
+
+    getChildContext = () => Object({
+        overlay: {
+            portal: this.props.portal,
+            getContainer: this.getContainer,
+        }
+    });
+
+    render() {
+        return this.props.children || null;
+    }
+
+    componentWillUnmount() {
+        if (this.root && this.root.parentNode) this.root.parentNode.removeChild(this.root);
+    }
+
+    getContainer = () => {
+        const container = resolve(this.props.container);
+        if (container) return container;
+        if (!this.root) {
+            this.root = document.createElement('section');
+            this.root.className = 'overlay-container';
+            document.body.appendChild(this.root);
+        }
+        return this.root;
+    }
+}
@@ -0,0 +1,204 @@
+'use strict';
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import Button, { ButtonIcon } from './button';
+import Column from './column';
+import Form, { FieldArray, FormFeedback, FormGroup, FormText } from './form';
+import Input from './input';
+import Label from './label';
+import Row from './row';
+import { formContext } from '../constants/proptypes';
+import { getDefaults, getOptions, getOrder, getRules, getType, getWidget, parse } from '../utils/schema';
+import { messages } from '../utils/validation';
+
+let count = 0;
+
+export default class SchemaForm extends Component {
+    static propTypes = {
+        ...Form.propTypes,
+        schema: PropTypes.object.isRequired,
+        uiSchema: PropTypes.object,
+        formData: PropTypes.object,
+        submit: PropTypes.oneOfType([PropTypes.node, PropTypes.bool]),
+    };
+
+    static defaultProps = {
+        uiSchema: {},
+        submit: 'Valider',
+    };
+
+    id = `schema-form-${++count}`;
+
+    render() {
+        const { schema, uiSchema, formData, submit, children, ...props } = this.props;
+        return <Form {...props} initialValues={formData || getDefaults(schema) || {}}>
+            <SchemaField id={this.id} schema={schema} uiSchema={uiSchema} name="" />
+            {children}
+            {submit && <Button type="submit" color="primary">{submit}</Button>}
+        </Form>
+    }
+}
+
+export class SchemaField extends Component {
+    static propTypes = {
+        id: PropTypes.string.isRequired,
+        schema: PropTypes.object.isRequired,
+        uiSchema: PropTypes.object,
+        name: PropTypes.string.isRequired,
+        title: PropTypes.node,
+        required: PropTypes.bool,
+    };
+
+    static defaultProps = {
+        uiSchema: {},
+        required: false,
+    };
+
+    static contextTypes = {
+        form: formContext,
+    };
+
+    getId = () => `${this.props.id}-${this.props.name.replace(/[^\w-]+/g, '-')}`;
+    getTitle = () => {
+        const { schema, uiSchema, title, name } = this.props;
+        if (uiSchema['ui:title'] !== undefined) return uiSchema['ui:title'];
+        if (schema.title !== undefined) return schema.title;
+        if (title !== undefined) return title;
+        return name.split('.').pop();
+    }
+
+    render() {
+        const { schema, uiSchema } = this.props;
+        let field;
+        switch (getType(schema)) {
+            case 'object': field = this.renderObject(); break;
+            case 'array': field = this.renderArray(); break;
+            default: field = this.renderWidget();
+        }
+
+        const column = uiSchema['ui:column'];
+        if (!column) return field;
+        return <Column {...(typeof column == 'object' ? column : { md: column })}>{field}</Column>
+    }
+
+    renderObject = () => {
+        const { id, schema, uiSchema, name } = this.props;
+        const required = schema.required || [];
+        const keys = getOrder(schema, uiSchema);
+        const fields = keys.map(key => (
+            <SchemaField key={key} id={id}
+                schema={schema.properties[key]}
+                uiSchema={uiSchema[key]}
+                name={name ? `${name}.${key}` : key}
+                title={key}
+                required={required.indexOf(key) != -1}
+            />
+        ));
+        const layout = keys.some(key => uiSchema[key] && uiSchema[key]['ui:column']);
+        const content = layout ? <Row>{fields}</Row> : fields;
+
+        if (!name) return <section className="schema-form">{content}</section>
+        return <fieldset className="schema-object mb-3" id={this.getId()}>
+            <legend>{this.getTitle()}</legend>
+            {schema.description && <FormText tag="p">{schema.description}</FormText>}
+            {content}
+        </fieldset>
+    }
+
+    renderArray = () => {
+        const { id, schema, uiSchema, name, required } = this.props;
+        return <FieldArray tag="fieldset" className="schema-array mb-3" id={this.getId()} name={name}
+            defaultItem={() => getDefaults(schema.items)}
+            required={required}
+            minLength={schema.minItems}
+            maxLength={schema.maxItems}>
+            {fields => [
+                <legend key="legend">{this.getTitle()}</legend>,
+                schema.description && <FormText key="description" tag="p">{schema.description}</FormText>,
+                fields.map(field => (
+                    <section key={field.key} className="schema-array-item d-flex align-items-start">
+                        <section style={{ flex: 1 }}>
+                            <SchemaField id={id} schema={schema.items} uiSchema={uiSchema.items} name={field.name} title={`#${field.index + 1}`} />
+                        </section>
+                        <ButtonIcon name="times" color="danger" outline size="sm" className="ml-2" disabled={fields.length <= (schema.minItems || 0)} aria-label="Supprimer" onClick={() => fields.remove(field.index)} />
+                    </section>
+                )),
+                <FormFeedback key="feedback" name={name} />,
+                <ButtonIcon key="add" name="plus" color="secondary" outline size="sm" disabled={fields.length >= (schema.maxItems === undefined ? Infinity : schema.maxItems)} onClick={() => fields.add()}>Ajouter</ButtonIcon>,
+            ]}
+        </FieldArray>
+    }
+
+    renderWidget = () => {
+        const { schema, uiSchema, name, required } = this.props;
+        const id = this.getId();
+        const title = this.getTitle();
+        const widget = getWidget(schema, uiSchema);
+        const options = getOptions(schema);
+        const values = options.map(option => option.value);
+
+        // The rule type names the input type, it must not override the widget chosen for the field.
+        const { type, ...rules } = getRules(schema, required);
+        const props = {
+            ...rules,
+            id, name,
+            placeholder: uiSchema['ui:placeholder'],
+            messages: uiSchema['ui:messages'],
+            disabled: uiSchema['ui:disabled'] || schema.readOnly,
+            validate: schema.enum && (value => value !== '' && value !== undefined && value !== null && values.indexOf(value) == -1 ? ((uiSchema['ui:messages'] || {}).enum || messages.enum) : null),
+            parse: value => parse(schema, value),
+        };
+        const help = uiSchema['ui:help'] || schema.description;
+
+        switch (widget) {
+            case 'hidden':
+                return <Input type="hidden" {...props} />
+            case 'checkbox':
+                return <FormGroup>
+                    <Label custom="checkbox">
+                        <Input type="checkbox" custom {...props} parse={undefined} />
+                        {title}
+                    </Label>
+                    {help && <FormText>{help}</FormText>}
+                    <FormFeedback />
+                </FormGroup>
+            case 'radio':
+                return <FormGroup tag="fieldset">
+                    <Label tag="legend" className={Classnames(required && 'required')}>{title}</Label>
+                    {options.map(option => (
+                        <Label key={option.value} custom="radio" className="d-block">
+                            <Input type="radio" custom {...props} id={`${id}-${option.value}`} value={option.value} parse={undefined} />
+                            {option.label}
+                        </Label>
+                    ))}
+                    {help && <FormText>{help}</FormText>}
+                    <FormFeedback />
+                </FormGroup>
+        }
+
+        let input;
+        switch (widget) {
+            case 'select':
+                input = <Input type="select" custom {...props}>
+                    {!required && <option value="">{uiSchema['ui:placeholder'] || ''}</option>}
+                    {required && <option value="" disabled hidden>{uiSchema['ui:placeholder'] || ''}</option>}
+                    {options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </Input>
+                break;
+            case 'textarea':
+                input = <Input type="textarea" rows={uiSchema['ui:rows'] || 4} {...props} />
+                break;
+            default:
+                input = <Input type={widget} step={getType(schema) == 'integer' ? 1 : undefined} {...props} />
+        }
+
+        return <FormGroup>
+            <Label htmlFor={id} className={Classnames(required && 'required')}>{title}</Label>
+            {input}
+            {help && <FormText>{help}</FormText>}
+            <FormFeedback />
+        </FormGroup>
+    }
+}
@@ -0,0 +1,291 @@
+'use strict';
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import Tag from './tag';
+import Tooltip, { TooltipBody, TooltipInner, TooltipToggle } from './tooltip';
+import { formContext, formGroupContext } from '../constants/proptypes';
+
+const keyCodes = { pageUp: 33, pageDown: 34, end: 35, home: 36, left: 37, up: 38, right: 39, down: 40 };
+const value = PropTypes.oneOfType([PropTypes.number, PropTypes.arrayOf(PropTypes.number)]);
+const mark = PropTypes.oneOfType([PropTypes.number, PropTypes.shape({
+    value: PropTypes.number.isRequired,
+    label: PropTypes.node,
+})]);
+
+const getDecimals = number => (String(number).split('.')[1] || '').length;
+
+export default class Slider extends Component {
+    static propTypes = {
+        ...Tag.propTypes,
+        value,
+        defaultValue: value,
+        range: PropTypes.bool,
+        min: PropTypes.number,
+        max: PropTypes.number,
+        step: PropTypes.number,
+        marks: PropTypes.oneOfType([PropTypes.bool, PropTypes.arrayOf(mark), PropTypes.object]),
+        vertical: PropTypes.bool,
+        disabled: PropTypes.bool,
+        color: PropTypes.string,
+        background: PropTypes.string,
+        tooltip: PropTypes.oneOf([true, false, 'auto']),
+        format: PropTypes.func,
+        labels: PropTypes.arrayOf(PropTypes.string),
+        name: PropTypes.string,
+        register: PropTypes.bool,
+        required: PropTypes.bool,
+        validate: PropTypes.func,
+        messages: PropTypes.object,
+        onChange: PropTypes.func,
+    };
+
+    static defaultProps = {
+        tag: 'section',
+        min: 0,
+        max: 100,
+        step: 1,
+        tooltip: 'auto',
+        format: value => value,
+        labels: ['Valeur minimale', 'Valeur maximale'],
+        register: true,
+    };
+
+    static contextTypes = {
+        form: formContext,
+        formGroup: formGroupContext,
+    };
+
+    handles = [];
+    state = { value: this.props.defaultValue, focused: null, hovered: null, dragging: null };
+
+    render() {
+        const { className, value, defaultValue, range, min, max, step, marks, vertical, disabled, color, background, tooltip, format, labels, name, register, required, validate, messages, onChange, ...props } = this.props;
+        const { form } = this.context;
+        const values = this.getValues();
+        const error = this.isRegistered() && form.isVisible(name) && form.getError(name);
+        const classes = Classnames(className, 'range-slider', vertical && 'range-slider-vertical', disabled && 'disabled', error && 'is-invalid');
+        const [start, end] = values.length > 1 ? values.map(this.getPercent) : [0, this.getPercent(values[0])];
+        const marksList = this.getMarks();
+        delete props['aria-label'];
+        delete props['aria-labelledby'];
+
+        return <Tag {...props} className={classes} aria-disabled={disabled || undefined} onMouseDown={this.onMouseDown} onTouchStart={this.onMouseDown}>
+            <section className={Classnames('range-slider-rail', `bg-${background || 'secondary'}`)} ref={node => this.rail = node}>
+                <span className={Classnames('range-slider-track', `bg-${color || 'primary'}`)} style={{ [vertical ? 'bottom' : 'left']: `${start}%`, [vertical ? 'height' : 'width']: `${end - start}%` }} />
+            </section>
+            {!!marksList.length && <section className="range-slider-marks" aria-hidden="true">
+                {marksList.map(this.renderMark)}
+            </section>}
+            {values.map(this.renderHandle)}
+        </Tag>
+    }
+
+    renderMark = mark => {
+        const values = this.getValues();
+        const inside = values.length > 1 ? mark.value >= values[0] && mark.value <= values[1] : mark.value <= values[0];
+        return <span key={mark.value} className={Classnames('range-slider-mark', inside && 'active')} style={{ [this.props.vertical ? 'bottom' : 'left']: `${this.getPercent(mark.value)}%` }}>
+            {mark.label !== undefined && <span className="range-slider-label">{mark.label}</span>}
+        </span>
+    }
+
+    renderHandle = (value, index) => {
+        const { min, max, vertical, disabled, color, tooltip, format, labels, name } = this.props;
+        const { form, formGroup } = this.context;
+        const values = this.getValues();
+        const text = format(value);
+        const active = tooltip === true || (tooltip == 'auto' && [this.state.focused, this.state.hovered, this.state.dragging].indexOf(index) != -1);
+
+        return <Tooltip key={index} controlled active={active} className="range-slider-thumb"
+            enable={() => this.setState({ hovered: index })}
+            disable={() => this.setState({ hovered: null })}
+            style={{ [vertical ? 'bottom' : 'left']: `${this.getPercent(value)}%` }}>
+            <TooltipToggle className={Classnames('range-slider-handle', `border-${color || 'primary'}`)}
+                pointer={node => this.handles[index] = node}
+                role="slider"
+                tabIndex={disabled ? -1 : 0}
+                aria-valuemin={index > 0 ? values[index - 1] : min}
+                aria-valuemax={index < values.length - 1 ? values[index + 1] : max}
+                aria-valuenow={value}
+                aria-valuetext={['string', 'number'].indexOf(typeof text) != -1 ? String(text) : undefined}
+                aria-orientation={vertical ? 'vertical' : 'horizontal'}
+                aria-disabled={disabled || undefined}
+                aria-label={values.length > 1 ? labels[index] : this.props['aria-label']}
+                aria-labelledby={values.length > 1 ? undefined : this.props['aria-labelledby']}
+                aria-describedby={this.isRegistered() && formGroup ? `${formGroup.id}-feedback` : undefined}
+                aria-invalid={this.isRegistered() && form.isVisible(name) && form.getError(name) ? true : undefined}
+                onKeyDown={event => this.onKeyDown(event, index)}
+                onFocus={() => this.setState({ focused: index })}
+                onBlur={this.onBlur}
+            />
+            {tooltip && <TooltipInner arrow direction={vertical ? 'right' : 'top'}>
+                <TooltipBody>{text}</TooltipBody>
+            </TooltipInner>}
+        </Tooltip>
+    }
+
+    componentWillMount() {
+        if (this.isRegistered() && this.context.formGroup) this.context.formGroup.setName(this.props.name);
+    }
+
+    componentDidMount() {
+        if (this.isRegistered()) this.register();
+    }
+
+    componentDidUpdate(props) {
+        if (!this.context.form || (props.name === this.props.name && props.register === this.props.register)) return;
+        if (props.name && props.register !== false) this.context.form.unregister(props.name, this);
+        if (this.isRegistered()) this.register();
+    }
+
+    componentWillUnmount() {
+        this.unlisten();
+        if (this.isRegistered()) this.context.form.unregister(this.props.name, this);
+    }
+
+    isRegistered = () => !!(this.context.form && this.props.name && this.props.register !== false);
+    getRules = () => ({ required: this.props.required, validate: this.props.validate, messages: this.props.messages });
+
+    register = () => {
+        const { form } = this.context;
+        form.register(this.props.name, this);
+        if (this.props.value !== undefined) form.setValue(this.props.name, this.props.value, false);
+        else if (form.getValue(this.props.name) === undefined) form.setValue(this.props.name, this.isRange() ? this.getValues() : this.getValues()[0], false);
+    }
+
+    getValue = () => {
+        if (this.props.value !== undefined) return this.props.value;
+        if (this.isRegistered() && this.context.form.getValue(this.props.name) !== undefined) return this.context.form.getValue(this.props.name);
+        return this.state.value;
+    }
+
+    setValue = value => {
+        if (this.isRegistered()) this.context.form.setValue(this.props.name, value);
+        else if (this.props.value === undefined) this.setState({ value });
+        if (this.props.onChange) this.props.onChange(value);
+    }
+
+    isRange = () => this.props.range || Array.isArray(this.props.value !== undefined ? this.props.value : this.props.defaultValue);
+
+    getValues = () => {
+        const { min, max } = this.props;
+        const value = this.getValue();
+        if (this.isRange()) return (Array.isArray(value) ? value : [min, max]).slice(0, 2).map(this.clamp).sort((a, b) => a - b);
+        return [this.clamp(typeof value == 'number' ? value : min)];
+    }
+
+    getMarks = () => {
+        const { marks, min, max, step } = this.props;
+        if (!marks) return [];
+        if (marks === true) {
+            const count = Math.floor((max - min) / step);
+            return count > 100 ? [] : Array.apply(null, Array(count + 1)).map((mark, index) => ({ value: this.round(min + index * step) }));
+        }
+        if (Array.isArray(marks)) return marks.map(mark => typeof mark == 'number' ? { value: mark } : mark);
+        return Object.keys(marks).map(key => ({ value: Number(key), label: marks[key] }));
+    }
+
+    getPercent = value => {
+        const { min, max } = this.props;
+        return max > min ? (value - min) / (max - min) * 100 : 0;
+    }
+
+    clamp = value => Math.min(this.props.max, Math.max(this.props.min, value));
+
+    round = value => {
+        const { min, step } = this.props;
+        return Number((Math.round((value - min) / step) * step + min).toFixed(Math.max(getDecimals(min), getDecimals(step))));
+    }
+
+    // A handle stays between its neighbours so that the range never gets inverted.
+    change = (index, value) => {
+        const values = this.getValues();
+        const lower = index > 0 ? values[index - 1] : this.props.min;
+        const upper = index < values.length - 1 ? values[index + 1] : this.props.max;
+        value = Math.min(upper, Math.max(lower, this.round(value)));
+        if (value === values[index]) return;
+        this.setValue(this.isRange() ? values.map((item, position) => position == index ? value : item) : value);
+    }
+
+    getPointerValue = event => {
+        const { min, max, vertical } = this.props;
+        const point = event.touches ? event.touches[0] : event;
+        const rect = this.rail.getBoundingClientRect();
+        const ratio = vertical ? (rect.bottom - point.clientY) / rect.height : (point.clientX - rect.left) / rect.width;
+        return min + Math.min(1, Math.max(0, ratio)) * (max - min);
+    }
+
+    unlisten = () => {
+        document.removeEventListener('mousemove', this.onMouseMove);
+        document.removeEventListener('touchmove', this.onMouseMove);
+        document.removeEventListener('mouseup', this.onMouseUp);
+        document.removeEventListener('touchend', this.onMouseUp);
+    }
+
+    onMouseDown = event => {
+        if (event.type == 'touchstart' && this.props.onTouchStart) this.props.onTouchStart(event);
+        else if (this.props.onMouseDown) this.props.onMouseDown(event);
+        if (this.props.disabled || !this.rail || (!event.touches && event.button !== 0)) return;
+        if (!event.touches) event.preventDefault();
+
+        const value = this.getPointerValue(event);
+        const values = this.getValues();
+        const index = values.reduce((nearest, item, index) => {
+            const distance = Math.abs(item - value) - Math.abs(values[nearest] - value);
+            return distance < 0 || (distance == 0 && value > item) ? index : nearest;
+        }, 0);
+
+        this.setState({ dragging: index });
+        this.change(index, value);
+        if (this.handles[index]) this.handles[index].focus();
+
+        this.unlisten();
+        document.addEventListener(event.touches ? 'touchmove' : 'mousemove', this.onMouseMove);
+        document.addEventListener(event.touches ? 'touchend' : 'mouseup', this.onMouseUp);
+    }
+
+    onMouseMove = event => {
+        if (this.state.dragging !== null) this.change(this.state.dragging, this.getPointerValue(event));
+    }
+
+    onMouseUp = () => {
+        this.unlisten();
+        this.setState({ dragging: null });
+    }
+
+    onBlur = () => {
+        this.setState({ focused: null });
+        if (this.isRegistered()) this.context.form.touch(this.props.name);
+    }
+
+    onKeyDown = (event, index) => {
+        const { min, max, step, disabled } = this.props;
+        if (disabled) return;
+        const value = this.getValues()[index];
+        const page = Math.max(1, Math.round((max - min) / step / 10)) * step;
+
+        switch (event.which) {
+            case keyCodes.right:
+            case keyCodes.up:
+                event.preventDefault();
+                return this.change(index, value + step);
+            case keyCodes.left:
+            case keyCodes.down:
+                event.preventDefault();
+                return this.change(index, value - step);
+            case keyCodes.pageUp:
+                event.preventDefault();
+                return this.change(index, value + page);
+            case keyCodes.pageDown:
+                event.preventDefault();
+                return this.change(index, value - page);
+            case keyCodes.home:
+                event.preventDefault();
+                return this.change(index, min);
+            case keyCodes.end:
+                event.preventDefault();
+                return this.change(index, max);
+        }
+    }
+}
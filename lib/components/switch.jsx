@@ -3,53 +3,163 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import Classnames from 'classnames';
+import Input from './input';
 import Tag from './tag';
+import { formContext, formGroupContext } from '../constants/proptypes';
 
-class SwitchControlled extends Component {
+export default class Switch extends Component {
     static propTypes = {
         ...Tag.propTypes,
-        active: PropTypes.bool,
+        checked: PropTypes.bool,
+        defaultChecked: PropTypes.bool,
+        value: PropTypes.any,
+        name: PropTypes.string,
+        disabled: PropTypes.bool,
         color: PropTypes.string,
         background: PropTypes.string,
+        rounded: PropTypes.bool,
+        size: PropTypes.oneOf(['sm', 'lg']),
+        on: PropTypes.node,
+        off: PropTypes.node,
+        register: PropTypes.bool,
+        required: PropTypes.bool,
+        validate: PropTypes.oneOfType([PropTypes.func, PropTypes.arrayOf(PropTypes.func)]),
+        messages: PropTypes.object,
+        onChange: PropTypes.func,
+        onClick: PropTypes.func,
+        // Deprecated, the former controlled API: checked replaces active.
+        controlled: PropTypes.bool,
+        active: PropTypes.bool,
     };
 
+    static defaultProps = {
+        tag: 'label',
+        register: true,
+    };
+
+    static contextTypes = {
+        form: formContext,
+        formGroup: formGroupContext,
+    };
+
+    state = { checked: !!this.props.defaultChecked };
+
     render() {
-        const { active, background, className, color, rounded, ...props } = this.props;
-        const classes = Classnames(className, 'switch', active && 'active');
-        const sliderClasses = Classnames('slider', rounded && 'slider-rounded', active 
-            ? (color ? `bg-${color}` : 'bg-primary') 
+        const { className, children, checked, defaultChecked, value, name, id, disabled, color, background, rounded, size, on, off, register, required, validate, messages, onChange, onClick, onFocus, onBlur, controlled, active: legacyActive, ...props } = this.props;
+        const { form, formGroup } = this.context;
+        const active = this.isChecked();
+        const error = this.isRegistered() && form.isVisible(name) && form.getError(name);
+        const classes = Classnames(className, 'switch', size && `switch-${size}`, active && 'active', disabled && 'disabled', error && 'is-invalid');
+        const sliderClasses = Classnames('slider', rounded && 'slider-rounded', active
+            ? (color ? `bg-${color}` : 'bg-primary')
             : (background ? `bg-${background}` : 'bg-secondary')
         );
 
-        const innerClasses = Classnames('slider-inner', active 
-            ? (color ? `border-${color}` : 'border-primary') 
+        const innerClasses = Classnames('slider-inner', active
+            ? (color ? `border-${color}` : 'border-primary')
             : (background ? `border-${background}` : 'border-secondary')
         );
 
-        return <Tag {...props} className={classes}>
-            <span className={sliderClasses}>
+        return <Tag {...props} className={classes} onClick={this.onClick}>
+            <Input type="checkbox" control={false} register={false} className="switch-input" role="switch"
+                pointer={node => this.input = node}
+                id={id}
+                name={name}
+                value={value}
+                checked={active}
+                disabled={disabled}
+                required={required}
+                aria-checked={active}
+                aria-describedby={props['aria-describedby'] || (this.isRegistered() && formGroup ? `${formGroup.id}-feedback` : undefined)}
+                aria-invalid={error ? true : undefined}
+                onChange={this.onChange}
+                onFocus={onFocus}
+                onBlur={this.onBlur}
+            />
+            <span className={sliderClasses} aria-hidden="true">
                 <span className={innerClasses}></span>
             </span>
+            {(on !== undefined || off !== undefined) && <span className="switch-state" aria-hidden="true">{active ? on : off}</span>}
+            {children !== undefined && <span className="switch-label">{children}</span>}
         </Tag>
     }
-}
 
-export default class Switch extends Component {
-    static propTypes = {
-        controlled: PropTypes.bool,
-    };
+    componentWillMount() {
+        if (this.isRegistered() && this.context.formGroup) this.context.formGroup.setName(this.props.name);
+    }
 
-    state = { active: false };
-    toggle = () => this.setState({ active: !this.state.active });
+    componentDidMount() {
+        if (this.isRegistered()) this.register();
+    }
 
-    render() {
-        const { controlled, ...props } = this.props;
-        if (controlled) return <SwitchControlled {...props} />
-        return <SwitchControlled {...props} active={this.state.active} onClick={this.onClick}/>
+    componentDidUpdate(props) {
+        if (!this.context.form) return;
+        if (props.name !== this.props.name || props.register !== this.props.register) {
+            if (props.name && props.register !== false) this.context.form.unregister(props.name, this);
+            if (this.isRegistered()) this.register();
+        } else if (this.isRegistered() && this.getChecked() !== undefined && this.getChecked(props) !== this.getChecked()) {
+            this.context.form.setValue(this.props.name, this.getFormValue(this.getChecked()));
+        }
     }
 
+    componentWillUnmount() {
+        if (this.isRegistered()) this.context.form.unregister(this.props.name, this);
+    }
+
+    isRegistered = () => !!(this.context.form && this.props.name && this.props.register !== false);
+    getRules = () => ({ required: this.props.required, validate: this.props.validate, messages: this.props.messages });
+
+    // Without a value the field holds a boolean, with one it works like a group of checkboxes sharing the name.
+    register = () => {
+        const { form } = this.context;
+        const { name, value, defaultChecked } = this.props;
+        const checked = this.getChecked();
+        form.register(name, this);
+
+        if (checked !== undefined) form.setValue(name, this.getFormValue(checked), false);
+        else if (form.getValue(name) === undefined || (value !== undefined && defaultChecked)) form.setValue(name, this.getFormValue(!!defaultChecked), false);
+    }
+
+    getFormValue = checked => {
+        const { name, value } = this.props;
+        if (value === undefined) return !!checked;
+        const values = [].concat(this.context.form.getValue(name) || []).filter(item => item !== value);
+        return checked ? [...values, value] : values;
+    }
+
+    getChecked = (props = this.props) => {
+        if (props.checked !== undefined) return props.checked;
+        if (props.controlled || props.active !== undefined) return !!props.active;
+    }
+
+    isChecked = () => {
+        const { name, value } = this.props;
+        const checked = this.getChecked();
+        if (checked !== undefined) return checked;
+        if (!this.isRegistered()) return this.state.checked;
+
+        const current = this.context.form.getValue(name);
+        if (value === undefined) return !!current;
+        return Array.isArray(current) && current.indexOf(value) != -1;
+    }
+
+    onChange = event => {
+        const { checked } = event.target;
+        if (this.getChecked() === undefined) {
+            if (this.isRegistered()) this.context.form.setValue(this.props.name, this.getFormValue(checked));
+            else this.setState({ checked });
+        }
+        if (this.props.onChange) this.props.onChange(event, checked);
+    }
+
+    // A click on the label is dispatched again on the checkbox, only that second one is reported.
     onClick = event => {
-        this.toggle();
+        if (event.target !== this.input) return;
         if (this.props.onClick) this.props.onClick(event);
     }
-}
\ No newline at end of file
+
+    onBlur = event => {
+        if (this.props.onBlur) this.props.onBlur(event);
+        if (this.isRegistered()) this.context.form.touch(this.props.name);
+    }
+}
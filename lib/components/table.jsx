@@ -3,7 +3,14 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import Classnames from 'classnames';
+import { ButtonToolbar } from './button';
+import Collapse from './collapse';
+import Icon from './icon';
+import Input from './input';
 import Tag from './tag';
+import Virtual from './virtual';
+import { copy, download, serialize, types } from '../utils/export';
+import { filterRows, getOptions, getText, sortRows, toggleSort } from '../utils/table';
 
 export default class Table extends Component {
     static propTypes = {
@@ -16,15 +23,332 @@ export default class Table extends Component {
         hover: PropTypes.bool,
         reflow: PropTypes.bool,
         responsive: PropTypes.bool,
+        virtual: PropTypes.bool,
+        count: PropTypes.number,
+        renderRow: PropTypes.func,
+        height: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+        rowHeight: PropTypes.oneOfType([PropTypes.number, PropTypes.func]),
+        overscan: PropTypes.number,
     };
 
     static defaultProps = {
         tag: 'table',
+        virtual: false,
     };
 
     render() {
-        const { className, size, fixed, bordered, striped, inverse, hover, reflow, responsive, ...props } = this.props;
+        const { className, size, fixed, bordered, striped, inverse, hover, reflow, responsive, virtual, count, renderRow, height, rowHeight, overscan, ...props } = this.props;
         const classes = Classnames(className, 'table', size && `table-${size}`, bordered && 'table-bordered', responsive && ((responsive === true || responsive == 'xs') ? 'table-responsive' : `table-responsive-${responsive}`), striped && 'table-striped', inverse && 'table-inverse', hover && 'table-hover', reflow && 'table-reflow', fixed && 'table-fixed');
-        return <Tag {...props} className={classes} />
+        if (!virtual) return <Tag {...props} className={classes} />
+
+        const { children, ...attr } = props;
+        return <Virtual ref={virtual => this.virtual = virtual} className="virtual-table" count={count} height={height} itemHeight={rowHeight} overscan={overscan} sticky={fixed} onRender={({ start, end, before, after }) => (
+            <Tag {...attr} className={classes}>
+                {children}
+                <tbody>
+                    <tr style={{ height: before }} data-virtual-spacer="before" aria-hidden="true" />
+                    {/* Keeps the first rendered row on its own parity for table-striped, the before spacer being a row too. */}
+                    {!(start % 2) && <tr data-virtual-spacer="parity" aria-hidden="true" />}
+                    {Virtual.renderRange(start, end, renderRow)}
+                    <tr style={{ height: after }} data-virtual-spacer="after" aria-hidden="true" />
+                </tbody>
+            </Tag>
+        )} />
+    }
+
+    scrollToIndex = (index, align) => {
+        if (this.virtual) this.virtual.scrollToIndex(index, align);
+    }
+}
+
+let count = 0;
+
+export class DataTable extends Component {
+    static propTypes = {
+        ...Table.propTypes,
+        columns: PropTypes.arrayOf(PropTypes.shape({
+            key: PropTypes.string.isRequired,
+            header: PropTypes.node,
+            cell: PropTypes.func,
+            format: PropTypes.func,
+            value: PropTypes.func,
+            sortable: PropTypes.bool,
+            sort: PropTypes.func,
+            filterable: PropTypes.oneOf([true, false, 'text', 'select']),
+            filter: PropTypes.func,
+            options: PropTypes.array,
+            placeholder: PropTypes.string,
+            className: PropTypes.string,
+        })).isRequired,
+        rows: PropTypes.array.isRequired,
+        rowKey: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+        empty: PropTypes.node,
+        multisort: PropTypes.bool,
+        sort: PropTypes.arrayOf(PropTypes.shape({
+            key: PropTypes.string.isRequired,
+            direction: PropTypes.oneOf(['asc', 'desc']).isRequired,
+        })),
+        defaultSort: PropTypes.array,
+        onSortChange: PropTypes.func,
+        filters: PropTypes.object,
+        defaultFilters: PropTypes.object,
+        onFilterChange: PropTypes.func,
+        selectable: PropTypes.bool,
+        selected: PropTypes.array,
+        defaultSelected: PropTypes.array,
+        onSelectChange: PropTypes.func,
+        actions: PropTypes.func,
+        expand: PropTypes.func,
+        expanded: PropTypes.array,
+        defaultExpanded: PropTypes.array,
+        onExpandChange: PropTypes.func,
+        onError: PropTypes.func,
+    };
+
+    static defaultProps = {
+        empty: 'Aucune donnée',
+        multisort: false,
+        selectable: false,
+    };
+
+    id = `table-${++count}`;
+    state = {
+        sort: this.props.defaultSort || [],
+        filters: this.props.defaultFilters || {},
+        selected: this.props.defaultSelected || [],
+        expanded: this.props.defaultExpanded || [],
+    };
+
+    getSort = () => this.props.sort !== undefined ? this.props.sort : this.state.sort;
+    getFilters = () => this.props.filters !== undefined ? this.props.filters : this.state.filters;
+    getSelected = () => this.props.selected !== undefined ? this.props.selected : this.state.selected;
+    getExpanded = () => this.props.expanded !== undefined ? this.props.expanded : this.state.expanded;
+    getRows = () => sortRows(filterRows(this.props.rows, this.props.columns, this.getFilters()), this.props.columns, this.getSort());
+
+    getRowIndex = row => {
+        const { rows } = this.props;
+        if (!this.indexes || this.indexes.rows !== rows) this.indexes = { rows, keys: new Map(rows.map((row, index) => [row, index])) };
+        return this.indexes.keys.get(row);
+    }
+
+    // The index given to rowKey is the position of the row in rows, sorting and filtering do not move it.
+    getRowKey = row => {
+        const { rowKey } = this.props;
+        if (rowKey instanceof Function) return rowKey(row, this.getRowIndex(row));
+        if (rowKey) return row[rowKey];
+        return this.getRowIndex(row);
+    }
+
+    render() {
+        const { 
+            className, columns, rows, rowKey, empty, multisort, sort, defaultSort, onSortChange, filters, defaultFilters, onFilterChange, 
+            selectable, selected, defaultSelected, onSelectChange, actions, expand, expanded, defaultExpanded, onExpandChange, onError,
+            ...props 
+        } = this.props;
+        const filterable = columns.some(column => column.filterable);
+        const items = this.getRows();
+        const span = columns.length + (selectable ? 1 : 0) + (expand ? 1 : 0);
+        const classes = Classnames(className, expand && 'table-expandable');
+
+        const table = <Table key="table" {...props} ref={table => this.table = table} className={classes} count={items.length} renderRow={index => this.renderRow(items[index], index)} onKeyDown={this.onKeyDown}>
+            <thead>
+                <tr>
+                    {selectable && this.renderSelectAll(items)}
+                    {expand && <th className="table-expand" />}
+                    {columns.map(this.renderHeader)}
+                </tr>
+                {filterable && (
+                    <tr className="table-filters">
+                        {selectable && <th />}
+                        {expand && <th />}
+                        {columns.map(this.renderFilter)}
+                    </tr>
+                )}
+            </thead>
+            {(!props.virtual || !items.length) && (
+                <tbody>
+                    {items.length ? items.map(this.renderRow) : (
+                        <tr className="table-empty">
+                            <td colSpan={span} className="text-center text-muted">{empty}</td>
+                        </tr>
+                    )}
+                </tbody>
+            )}
+        </Table>
+
+        const selection = this.getSelected();
+        if (!actions || !selection.length) return table;
+        return [
+            <ButtonToolbar key="actions" className="table-actions mb-2 align-items-center">
+                {actions(rows.filter(row => selection.indexOf(this.getRowKey(row)) != -1), this.clearSelection)}
+            </ButtonToolbar>,
+            table
+        ];
+    }
+
+    renderRow = (row, index) => {
+        const key = this.getRowKey(row);
+        const selected = this.props.selectable && this.getSelected().indexOf(key) != -1;
+        const expanded = !!this.props.expand && this.getExpanded().indexOf(key) != -1;
+        const classes = Classnames(this.props.expand && (index % 2 ? 'table-row-even' : 'table-row-odd'), selected && 'table-active');
+        const cells = <tr key={key} className={classes} aria-selected={this.props.selectable ? selected : undefined}>
+            {this.props.selectable && (
+                <td className="table-select">
+                    <Input type="checkbox" control={false} checked={selected} readOnly aria-label="Sélectionner la ligne" onClick={event => this.onSelect(key, event)} />
+                </td>
+            )}
+            {this.props.expand && (
+                <td className="table-expand">
+                    <button type="button" className="btn btn-link btn-sm p-0" aria-expanded={expanded} aria-controls={`${this.id}-detail-${key}`} aria-label="Détails" onClick={() => this.onExpand(key)}>
+                        <Icon name={expanded ? 'caret-down' : 'caret-right'} />
+                    </button>
+                </td>
+            )}
+            {this.props.columns.map(column => this.renderCell(row, column, index))}
+        </tr>
+
+        if (!this.props.expand) return cells;
+        return [cells, 
+            <tr key={`${key}-detail`} className="table-detail">
+                <td colSpan={this.props.columns.length + (this.props.selectable ? 2 : 1)}>
+                    <Collapse id={`${this.id}-detail-${key}`} active={expanded} reset>
+                        <section className="table-detail-inner">{this.props.expand(row)}</section>
+                    </Collapse>
+                </td>
+            </tr>
+        ];
+    }
+
+    renderSelectAll = items => {
+        const selection = this.getSelected();
+        const count = items.filter(row => selection.indexOf(this.getRowKey(row)) != -1).length;
+        return <th className="table-select" scope="col">
+            <Input type="checkbox" control={false} checked={!!items.length && count == items.length} indeterminate={!!count && count < items.length} readOnly aria-label="Tout sélectionner" onClick={() => this.onSelectAll(items, count < items.length)} />
+        </th>
+    }
+
+    renderHeader = column => {
+        const header = column.header === undefined ? column.key : column.header;
+        if (!column.sortable) return <th key={column.key} scope="col" className={column.className}>{header}</th>
+
+        const sort = this.getSort();
+        const index = sort.findIndex(item => item.key == column.key);
+        const direction = index == -1 ? null : sort[index].direction;
+        const classes = Classnames(column.className, 'table-sortable', direction && `table-sorted-${direction}`);
+
+        return <th key={column.key} scope="col" className={classes} tabIndex="0"
+            aria-sort={direction ? (direction == 'asc' ? 'ascending' : 'descending') : 'none'}
+            onClick={event => this.onSort(column, event)}
+            onKeyDown={event => [13, 32].indexOf(event.which) != -1 && (event.preventDefault(), this.onSort(column, event))}
+        >
+            {header}
+            <Icon name={direction ? `sort-${direction == 'asc' ? 'up' : 'down'}` : 'sort'} className={Classnames('ml-1', !direction && 'text-muted')} />
+            {this.props.multisort && sort.length > 1 && index != -1 && <sup className="ml-1">{index + 1}</sup>}
+        </th>
+    }
+
+    renderFilter = column => {
+        if (!column.filterable) return <th key={column.key} />
+
+        const value = this.getFilters()[column.key];
+        const onChange = event => this.onFilter(column, event.target.value);
+        if (column.filterable == 'select') {
+            return <th key={column.key}>
+                <Input type="select" size="sm" value={value === undefined ? '' : value} onChange={onChange} aria-label={column.placeholder || column.key}>
+                    <option value="">{column.placeholder || ''}</option>
+                    {getOptions(this.props.rows, column).map(option => {
+                        const item = typeof option == 'object' ? option : { value: option, label: option };
+                        return <option key={item.value} value={item.value}>{item.label}</option>
+                    })}
+                </Input>
+            </th>
+        }
+        return <th key={column.key}>
+            <Input type="text" size="sm" value={value || ''} placeholder={column.placeholder} onChange={onChange} aria-label={column.placeholder || column.key} />
+        </th>
+    }
+
+    renderCell = (row, column, index) => {
+        const content = column.cell instanceof Function ? column.cell(row, index) : getText(row, column);
+        return <td key={column.key} className={column.className}>{content}</td>
+    }
+
+    onSort = (column, event) => {
+        const sort = toggleSort(this.getSort(), column.key, this.props.multisort && event.shiftKey);
+        if (this.props.sort === undefined) this.setState({ sort });
+        if (this.props.onSortChange) this.props.onSortChange(sort, event);
+    }
+
+    scrollToIndex = (index, align) => {
+        if (this.table) this.table.scrollToIndex(index, align);
+    }
+
+    serialize = (format = 'csv', options) => serialize(format, this.getRows(), this.props.columns, options);
+
+    exportRows = (format = 'csv', filename = `export.${format}`, options) => {
+        return download(this.serialize(format, options), filename, types[format]);
+    }
+
+    copySelection = (options = { header: false }) => {
+        const selection = this.getSelected();
+        const rows = this.getRows().filter(row => selection.indexOf(this.getRowKey(row)) != -1);
+        if (!rows.length) return Promise.resolve();
+        return copy(serialize('tsv', rows, this.props.columns, options));
+    }
+
+    onKeyDown = event => {
+        if (this.props.onKeyDown) this.props.onKeyDown(event);
+        if (!this.props.selectable || event.defaultPrevented) return;
+        if (!(event.ctrlKey || event.metaKey) || event.which !== 67) return;
+        const { tagName, type } = event.target;
+        if (/textarea|select/i.test(tagName) || (/input/i.test(tagName) && type != 'checkbox') || String(window.getSelection())) return;
+
+        event.preventDefault();
+        this.copySelection().catch(error => {
+            if (this.props.onError) this.props.onError(error);
+        });
+    }
+
+    onSelect = (key, event) => {
+        const selection = this.getSelected();
+        const checked = selection.indexOf(key) == -1;
+
+        let keys = [key];
+        if (event.shiftKey && this.anchor !== undefined) {
+            const visible = this.getRows().map(this.getRowKey);
+            const start = visible.indexOf(this.anchor);
+            const end = visible.indexOf(key);
+            if (start != -1 && end != -1) keys = visible.slice(Math.min(start, end), Math.max(start, end) + 1);
+        }
+        this.anchor = key;
+
+        const others = selection.filter(item => keys.indexOf(item) == -1);
+        this.setSelected(checked ? [...others, ...keys] : others);
+    }
+
+    onSelectAll = (items, checked) => {
+        const keys = items.map(this.getRowKey);
+        const others = this.getSelected().filter(item => keys.indexOf(item) == -1);
+        this.setSelected(checked ? [...others, ...keys] : others);
+    }
+
+    clearSelection = () => this.setSelected([]);
+
+    setSelected = selected => {
+        if (this.props.selected === undefined) this.setState({ selected });
+        if (this.props.onSelectChange) this.props.onSelectChange(selected, this.props.rows.filter(row => selected.indexOf(this.getRowKey(row)) != -1));
+    }
+
+    onExpand = key => {
+        const current = this.getExpanded();
+        const expanded = current.indexOf(key) == -1 ? [...current, key] : current.filter(item => item != key);
+        if (this.props.expanded === undefined) this.setState({ expanded });
+        if (this.props.onExpandChange) this.props.onExpandChange(expanded);
+    }
+
+    onFilter = (column, value) => {
+        const filters = { ...this.getFilters(), [column.key]: value };
+        if (this.props.filters === undefined) this.setState({ filters });
+        if (this.props.onFilterChange) this.props.onFilterChange(filters);
     }
-}
\ No newline at end of file
+}
@@ -1,32 +1,277 @@
 'use strict';
 
-import React, { Component } from 'react';
+import React, { Children, Component } from 'react';
 import PropTypes from 'prop-types';
 import Classnames from 'classnames';
+import Icon from './icon';
 import Tag from './tag';
+import { historyAdapter } from '../constants/proptypes';
+import { getHistory } from '../utils/history';
+import { observe } from '../utils/position';
+
+const keyCodes = { end: 35, home: 36, left: 37, up: 38, right: 39, down: 40, delete: 46 };
+
+const tabsContext = PropTypes.shape({
+    active: PropTypes.any,
+    getId: PropTypes.func.isRequired,
+    isRendered: PropTypes.func.isRequired,
+});
+
+let count = 0;
 
 export default class Tabs extends Component {
     static propTypes = {
         ...Tag.propTypes,
         active: PropTypes.any,
+        activation: PropTypes.oneOf(['auto', 'manual']),
+        lazy: PropTypes.bool,
+        keepAlive: PropTypes.bool,
+        closable: PropTypes.bool,
+        pills: PropTypes.bool,
+        vertical: PropTypes.bool,
+        label: PropTypes.string,
+        syncKey: PropTypes.string,
+        history: historyAdapter,
+        onChange: PropTypes.func,
+        onClose: PropTypes.func,
     }
     static defaultProps = {
-        tag: 'article'
+        tag: 'article',
+        activation: 'auto',
+        lazy: false,
+        keepAlive: true,
+        closable: false,
     }
     static childContextTypes = {
-        active: PropTypes.any
+        tabs: tabsContext,
+    }
+    getChildContext = () => Object({
+        tabs: {
+            active: this.state.active,
+            getId: this.getId,
+            isRendered: this.isRendered,
+        }
+    });
+
+    id = `tabs-${++count}`;
+    state = { active: this.props.active, mounted: [this.props.active], overflow: { start: false, end: false } };
+    nodes = [];
+
+    componentWillMount() {
+        this.synced = this.getSynced();
+        // Without an active prop the first pane that can be shown is, rather than none.
+        const tab = this.synced !== undefined ? this.synced : this.props.active === undefined ? this.getFirst() : undefined;
+        if (tab !== undefined) this.setState({ active: tab, mounted: [tab] });
     }
-    getChildContext = () => Object({ active: this.state.active });
 
-    state = { active: this.props.active };
     componentWillReceiveProps(props) {
-        if (props.active != this.props.active) this.setState({ active: props.active });
+        if (props.active != this.props.active) this.select(props.active, false);
+    }
+
+    componentDidMount() {
+        this.unobserve = observe(this.onOverflow);
+        this.onOverflow();
+        if (this.props.syncKey && this.getHistory().subscribe) this.unsync = this.getHistory().subscribe(this.onSync);
+        if (this.synced !== undefined && this.synced !== this.props.active && this.props.onChange) this.props.onChange(this.synced);
+    }
+
+    componentDidUpdate(props, state) {
+        if (state.active !== this.state.active) {
+            this.scrollIntoView(this.getIndex(this.state.active));
+            if (this.props.syncKey) this.getHistory().set(this.props.syncKey, this.state.active === undefined ? null : String(this.state.active));
+        }
+        this.onOverflow();
+    }
+
+    componentWillUnmount() {
+        if (this.unobserve) this.unobserve();
+        if (this.unsync) this.unsync();
     }
 
     render() {
-        const { active, className, ...props } = this.props;
-        const classes = Classnames(className, 'tab-content');
-        return <Tag {...props} className={classes} />
+        const { active, activation, lazy, keepAlive, closable, pills, vertical, label, syncKey, history, onChange, onClose, className, children, ...props } = this.props;
+        const items = this.getItems();
+
+        // Without titles the panes are driven from outside, by a Nav built by hand.
+        if (!items.some(item => item.title !== undefined)) {
+            return <Tag {...props} className={Classnames(className, 'tab-content')}>{children}</Tag>
+        }
+
+        const { overflow } = this.state;
+        const classes = Classnames(className, 'tabs', vertical && 'tabs-vertical');
+        const focusable = this.getIndex(this.state.active) != -1 ? this.state.active : (items.find(item => !item.disabled) || {}).tab;
+
+        return <Tag {...props} className={classes}>
+            <nav className={Classnames('tabs-nav', overflow.start && 'tabs-overflow-start', overflow.end && 'tabs-overflow-end')}>
+                {(overflow.start || overflow.end) && <button type="button" className="tabs-scroll tabs-scroll-prev" tabIndex={-1} aria-hidden="true" disabled={!overflow.start} onClick={() => this.scrollBy(-1)}>
+                    <Icon name={vertical ? 'chevron-up' : 'chevron-left'} />
+                </button>}
+                <ul ref={list => this.list = list}
+                    className={Classnames('nav', pills ? 'nav-pills' : 'nav-tabs', vertical && 'flex-column')}
+                    role="tablist"
+                    aria-label={label}
+                    aria-orientation={vertical ? 'vertical' : 'horizontal'}
+                    onKeyDown={this.onKeyDown}
+                >
+                    {items.map((item, index) => this.renderTab(item, index, item.tab === focusable))}
+                </ul>
+                {(overflow.start || overflow.end) && <button type="button" className="tabs-scroll tabs-scroll-next" tabIndex={-1} aria-hidden="true" disabled={!overflow.end} onClick={() => this.scrollBy(1)}>
+                    <Icon name={vertical ? 'chevron-down' : 'chevron-right'} />
+                </button>}
+            </nav>
+            <section className="tab-content">{children}</section>
+        </Tag>
+    }
+
+    renderTab = (item, index, focusable) => {
+        const active = item.tab === this.state.active;
+        const closable = item.closable !== undefined ? item.closable : this.props.closable;
+
+        return <li key={this.getId(item.tab)} className={Classnames('nav-item', closable && 'tab-closable')} role="presentation">
+            <button type="button" ref={node => this.nodes[index] = node}
+                className={Classnames('nav-link', { active, disabled: item.disabled })}
+                role="tab"
+                id={`${this.getId(item.tab)}-tab`}
+                aria-selected={active}
+                aria-controls={`${this.getId(item.tab)}-panel`}
+                aria-disabled={item.disabled || undefined}
+                disabled={item.disabled}
+                tabIndex={focusable ? 0 : -1}
+                onClick={() => this.select(item.tab)}
+            >
+                {item.title}
+            </button>
+            {closable && <button type="button" className="close tab-close" tabIndex={-1} aria-label={`Fermer ${typeof item.title == 'string' ? item.title : ''}`.trim()} onClick={event => this.close(item.tab, event)}>
+                <Icon name="times" />
+            </button>}
+        </li>
+    }
+
+    getItems = () => Children.toArray(this.props.children)
+        .filter(child => child && child.props && child.props.tab !== undefined)
+        .map(child => ({ tab: child.props.tab, title: child.props.title, disabled: child.props.disabled, closable: child.props.closable }));
+
+    getFirst = () => (this.getItems().find(item => item.title !== undefined && !item.disabled) || {}).tab;
+
+    getIndex = tab => this.getItems().findIndex(item => item.tab === tab);
+
+    // Tab values may be anything, the position in the list gives them a stable enough id.
+    getId = tab => {
+        const index = this.getIndex(tab);
+        return `${this.id}-${index != -1 ? index : String(tab)}`;
+    }
+
+    getHistory = () => this.props.history || getHistory();
+
+    // The address holds the tab as text, it only counts when it names one of the panes.
+    getSynced = () => {
+        if (!this.props.syncKey) return;
+        const value = this.getHistory().get(this.props.syncKey);
+        const item = this.getItems().find(item => String(item.tab) === value);
+        return item ? item.tab : undefined;
+    }
+
+    onSync = () => {
+        const tab = this.getSynced();
+        if (tab !== undefined) this.select(tab);
+    }
+
+    isRendered = (tab, lazy = this.props.lazy, keepAlive = this.props.keepAlive) => {
+        if (tab === this.state.active) return true;
+        if (!keepAlive) return false;
+        return !lazy || this.state.mounted.indexOf(tab) != -1;
+    }
+
+    select = (tab, notify = true) => {
+        if (tab === this.state.active) return;
+        const mounted = this.state.mounted.indexOf(tab) == -1 ? [...this.state.mounted, tab] : this.state.mounted;
+        this.setState({ active: tab, mounted });
+        if (notify && this.props.onChange) this.props.onChange(tab);
+    }
+
+    // Closing the active tab hands over to its neighbour, the pane itself is removed by the owner.
+    close = (tab, event) => {
+        const items = this.getItems();
+        const index = this.getIndex(tab);
+        if (tab === this.state.active) {
+            const next = items.slice(index + 1).find(item => !item.disabled) || items.slice(0, index).reverse().find(item => !item.disabled);
+            if (next) {
+                this.select(next.tab);
+                this.focus(this.getIndex(next.tab));
+            }
+        }
+        this.setState(state => ({ mounted: state.mounted.filter(other => other !== tab) }));
+        if (this.props.onClose) this.props.onClose(tab, event);
+    }
+
+    focus = index => {
+        const node = this.nodes[index];
+        if (node) node.focus();
+    }
+
+    move = (from, step) => {
+        const items = this.getItems();
+        for (let index = from + step, i = 0; i < items.length; index += step, i++) {
+            index = (index + items.length) % items.length;
+            if (!items[index].disabled) return index;
+        }
+        return from;
+    }
+
+    onKeyDown = event => {
+        const items = this.getItems();
+        const current = this.nodes.indexOf(document.activeElement);
+        if (current == -1) return;
+
+        const { vertical, activation } = this.props;
+        let index;
+        switch (event.which) {
+            case vertical ? keyCodes.up : keyCodes.left: index = this.move(current, -1); break;
+            case vertical ? keyCodes.down : keyCodes.right: index = this.move(current, 1); break;
+            case keyCodes.home: index = this.move(-1, 1); break;
+            case keyCodes.end: index = this.move(items.length, -1); break;
+            case keyCodes.delete: {
+                const closable = items[current].closable !== undefined ? items[current].closable : this.props.closable;
+                if (closable) this.close(items[current].tab, event);
+                return;
+            }
+            default: return;
+        }
+
+        event.preventDefault();
+        this.focus(index);
+        this.scrollIntoView(index);
+        if (activation == 'auto') this.select(items[index].tab);
+    }
+
+    onOverflow = () => {
+        const list = this.list;
+        if (!list) return;
+        const vertical = this.props.vertical;
+        const scroll = vertical ? list.scrollTop : list.scrollLeft;
+        const max = vertical ? list.scrollHeight - list.clientHeight : list.scrollWidth - list.clientWidth;
+        const overflow = { start: scroll > 0, end: scroll < max - 1 };
+        if (overflow.start != this.state.overflow.start || overflow.end != this.state.overflow.end) this.setState({ overflow });
+    }
+
+    scrollBy = direction => {
+        const list = this.list;
+        if (!list) return;
+        if (this.props.vertical) list.scrollTop += direction * list.clientHeight * .75;
+        else list.scrollLeft += direction * list.clientWidth * .75;
+    }
+
+    scrollIntoView = index => {
+        const list = this.list, node = this.nodes[index];
+        if (!list || !node) return;
+        const item = node.parentNode;
+        if (this.props.vertical) {
+            if (item.offsetTop < list.scrollTop) list.scrollTop = item.offsetTop;
+            else if (item.offsetTop + item.offsetHeight > list.scrollTop + list.clientHeight) list.scrollTop = item.offsetTop + item.offsetHeight - list.clientHeight;
+        } else {
+            if (item.offsetLeft < list.scrollLeft) list.scrollLeft = item.offsetLeft;
+            else if (item.offsetLeft + item.offsetWidth > list.scrollLeft + list.clientWidth) list.scrollLeft = item.offsetLeft + item.offsetWidth - list.clientWidth;
+        }
     }
 }
 
@@ -34,17 +279,28 @@ export class TabPane extends Component {
     static propTypes = {
         ...Tag.propTypes,
         tab: PropTypes.any,
+        title: PropTypes.node,
+        disabled: PropTypes.bool,
+        closable: PropTypes.bool,
+        lazy: PropTypes.bool,
+        keepAlive: PropTypes.bool,
     }
     static defaultProps = {
         tag: 'section'
     }
     static contextTypes = {
-        active: PropTypes.any
+        tabs: tabsContext,
     };
 
     render() {
-        const { className, tab, ...props } = this.props;
-        const classes = Classnames(className, 'tab-pane', { active: this.context.active == tab });
-        return <Tag {...props} className={classes} />
+        const { className, tab, title, disabled, closable, lazy, keepAlive, children, ...props } = this.props;
+        const { tabs } = this.context;
+        if (title === undefined) return <Tag {...props} className={Classnames(className, 'tab-pane', { active: tabs.active == tab })}>{children}</Tag>
+
+        const id = tabs.getId(tab);
+        const classes = Classnames(className, 'tab-pane', { active: tabs.active === tab });
+        return <Tag id={`${id}-panel`} role="tabpanel" aria-labelledby={`${id}-tab`} tabIndex={0} {...props} className={classes}>
+            {tabs.isRendered(tab, lazy, keepAlive) ? children : null}
+        </Tag>
     }
-}
\ No newline at end of file
+}
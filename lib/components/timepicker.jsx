@@ -0,0 +1,333 @@
+'use strict';
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import DatePicker from './datepicker';
+import Input, { InputGroup, InputGroupAddon } from './input';
+import { formContext, formGroupContext } from '../constants/proptypes';
+import { formatOffset, fromSeconds, fromZonedParts, getDayPeriods, getTimeZone, getTimeZoneOffset, getZonedParts, isDate, isHour12, parseTime, toSeconds } from '../utils/date';
+
+const keyCodes = { enter: 13, up: 38, down: 40 };
+const pad = value => String(value).padStart(2, '0');
+
+export default class TimePicker extends Component {
+    static propTypes = {
+        ...Input.propTypes,
+        value: PropTypes.string,
+        defaultValue: PropTypes.string,
+        min: PropTypes.string,
+        max: PropTypes.string,
+        step: PropTypes.number,
+        seconds: PropTypes.bool,
+        hour12: PropTypes.bool,
+        locale: PropTypes.string,
+        onChange: PropTypes.func,
+    };
+
+    static defaultProps = {
+        step: 1,
+        seconds: false,
+        register: true,
+    };
+
+    static contextTypes = {
+        form: formContext,
+        formGroup: formGroupContext,
+    };
+
+    state = { value: this.props.defaultValue, text: null };
+
+    render() {
+        const { className, value, defaultValue, min, max, step, seconds, hour12, locale, register, validate, messages, onChange, ...props } = this.props;
+        const { form, formGroup } = this.context;
+        const classes = Classnames(className, 'timepicker');
+        const error = this.isRegistered() && form.isVisible(props.name) && form.getError(props.name);
+
+        let valid = props.valid;
+        if (valid === undefined && this.isRegistered() && form.isVisible(props.name)) valid = !error;
+
+        return <Input placeholder={this.getPlaceholder()} {...props} type="text" register={false} className={classes} valid={valid} value={this.getText()} autoComplete="off"
+            pointer={this.setNode}
+            aria-describedby={props['aria-describedby'] || (this.isRegistered() && formGroup ? `${formGroup.id}-feedback` : undefined)}
+            aria-invalid={error ? true : undefined}
+            onChange={this.onChange}
+            onBlur={this.onBlur}
+            onKeyDown={this.onKeyDown}
+        />
+    }
+
+    componentWillMount() {
+        if (this.isRegistered() && this.context.formGroup) this.context.formGroup.setName(this.props.name);
+    }
+
+    componentDidMount() {
+        if (this.isRegistered()) this.register();
+    }
+
+    componentDidUpdate(props) {
+        if (this.selection) {
+            const [start, end] = this.selection;
+            this.selection = null;
+            if (this.node && this.node === document.activeElement) this.node.setSelectionRange(start, end);
+        }
+
+        if (!this.context.form || (props.name === this.props.name && props.register === this.props.register)) return;
+        if (props.name && props.register !== false) this.context.form.unregister(props.name, this);
+        if (this.isRegistered()) this.register();
+    }
+
+    componentWillUnmount() {
+        if (this.isRegistered()) this.context.form.unregister(this.props.name, this);
+    }
+
+    isRegistered = () => !!(this.context.form && this.props.name && this.props.register !== false);
+    isHour12 = () => this.props.hour12 !== undefined ? this.props.hour12 : isHour12(this.props.locale);
+    getRules = () => ({ required: this.props.required, min: this.props.min, max: this.props.max, validate: this.props.validate, messages: this.props.messages });
+
+    register = () => {
+        const { form } = this.context;
+        form.register(this.props.name, this);
+        if (this.props.value !== undefined) form.setValue(this.props.name, this.props.value, false);
+        else if (form.getValue(this.props.name) === undefined && this.props.defaultValue !== undefined) form.setValue(this.props.name, this.props.defaultValue, false);
+    }
+
+    getValue = () => {
+        if (this.props.value !== undefined) return this.props.value;
+        if (this.isRegistered()) return this.context.form.getValue(this.props.name);
+        return this.state.value;
+    }
+
+    setValue = value => {
+        if (this.isRegistered()) this.context.form.setValue(this.props.name, value);
+        else if (this.props.value === undefined) this.setState({ value });
+        if (this.props.onChange) this.props.onChange(value);
+    }
+
+    getPlaceholder = () => {
+        const placeholder = this.props.seconds ? 'hh:mm:ss' : 'hh:mm';
+        return this.isHour12() ? `${placeholder} ${getDayPeriods(this.props.locale).join('/')}` : placeholder;
+    }
+
+    format = total => {
+        if (total === null) return '';
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total % 3600 / 60);
+        let text = `${pad(this.isHour12() ? (hours % 12 || 12) : hours)}:${pad(minutes)}`;
+        if (this.props.seconds) text += `:${pad(total % 60)}`;
+        if (this.isHour12()) text += ` ${getDayPeriods(this.props.locale)[hours < 12 ? 0 : 1]}`;
+        return text;
+    }
+
+    getText = () => this.state.text !== null ? this.state.text : this.format(toSeconds(this.getValue()));
+
+    clamp = total => {
+        const min = toSeconds(this.props.min);
+        const max = toSeconds(this.props.max);
+        if (min !== null && total < min) return min;
+        if (max !== null && total > max) return max;
+        return total;
+    }
+
+    update = total => {
+        this.setState({ text: null });
+        this.setValue(total === null ? null : fromSeconds(total, this.props.seconds));
+    }
+
+    parse = () => {
+        if (this.state.text === null) return;
+        const total = parseTime(this.state.text, getDayPeriods(this.props.locale));
+        if (total === null && this.state.text.trim()) return this.setValue(null);
+        this.update(total === null ? null : this.clamp(total));
+    }
+
+    // Steps the segment under the caret: hours, minutes by `step`, seconds or the day period.
+    spin = (event, direction) => {
+        const text = event.target.value;
+        const caret = event.target.selectionStart || 0;
+        const current = parseTime(text, getDayPeriods(this.props.locale));
+        const total = current === null ? 0 : current;
+
+        const separators = text.slice(0, caret).split(/[:\s]/).length - 1;
+        const segments = this.props.seconds ? ['hours', 'minutes', 'seconds'] : ['hours', 'minutes'];
+        const segment = segments[separators] || (this.isHour12() ? 'period' : segments[segments.length - 1]);
+        const unit = { hours: 3600, minutes: this.props.step * 60, seconds: 1, period: 43200 }[segment];
+
+        let next = direction > 0 ? Math.floor(total / unit) * unit + unit : Math.ceil(total / unit) * unit - unit;
+        if (segment == 'period' || segment == 'hours') next = total + direction * unit;
+        next = this.clamp(((next % 86400) + 86400) % 86400);
+
+        const index = segments.indexOf(segment);
+        const start = index == -1 ? this.format(next).lastIndexOf(' ') + 1 : index * 3;
+        this.selection = [start, index == -1 ? this.format(next).length : start + 2];
+        this.update(next);
+    }
+
+    onChange = event => {
+        this.setState({ text: event.target.value });
+    }
+
+    onBlur = event => {
+        if (this.props.onBlur) this.props.onBlur(event);
+        this.parse();
+        if (this.isRegistered()) this.context.form.touch(this.props.name);
+    }
+
+    onKeyDown = event => {
+        if (this.props.onKeyDown) this.props.onKeyDown(event);
+        if (this.props.readOnly || this.props.disabled) return;
+        switch (event.which) {
+            case keyCodes.up:
+            case keyCodes.down:
+                event.preventDefault();
+                return this.spin(event, event.which == keyCodes.up ? 1 : -1);
+            case keyCodes.enter:
+                return this.parse();
+        }
+    }
+
+    setNode = node => {
+        this.node = node;
+        if (this.props.pointer instanceof Function) this.props.pointer(node);
+    }
+}
+
+export class DateTimePicker extends Component {
+    static propTypes = {
+        ...InputGroup.propTypes,
+        name: PropTypes.string,
+        value: PropTypes.instanceOf(Date),
+        defaultValue: PropTypes.instanceOf(Date),
+        min: PropTypes.instanceOf(Date),
+        max: PropTypes.instanceOf(Date),
+        timeZone: PropTypes.string,
+        locale: PropTypes.string,
+        step: PropTypes.number,
+        seconds: PropTypes.bool,
+        hour12: PropTypes.bool,
+        disabled: PropTypes.bool,
+        required: PropTypes.bool,
+        register: PropTypes.bool,
+        validate: Input.propTypes.validate,
+        messages: PropTypes.object,
+        placeholder: PropTypes.string,
+        onChange: PropTypes.func,
+    };
+
+    static defaultProps = {
+        register: true,
+    };
+
+    static contextTypes = {
+        form: formContext,
+        formGroup: formGroupContext,
+    };
+
+    state = { value: this.props.defaultValue, date: null, time: null };
+
+    render() {
+        const { className, name, value, defaultValue, min, max, timeZone, locale, step, seconds, hour12, disabled, required, register, validate, messages, placeholder, onChange, ...props } = this.props;
+        const { form, formGroup } = this.context;
+        const classes = Classnames(className, 'datetimepicker');
+        const error = this.isRegistered() && form.isVisible(name) && form.getError(name);
+        const valid = this.isRegistered() && form.isVisible(name) ? !error : undefined;
+        const describedby = this.isRegistered() && formGroup ? `${formGroup.id}-feedback` : undefined;
+        const parts = this.getParts();
+
+        return <InputGroup {...props} className={classes} role="group">
+            <DatePicker register={false} value={parts.date} disabled={disabled} required={required} placeholder={placeholder} valid={valid}
+                min={min && this.getParts(min).date}
+                max={max && this.getParts(max).date}
+                locale={locale}
+                aria-describedby={describedby}
+                onChange={this.onDateChange}
+                onBlur={this.onBlur}
+            />
+            <TimePicker register={false} value={parts.time} disabled={disabled} required={required} valid={valid}
+                step={step}
+                seconds={seconds}
+                hour12={hour12}
+                locale={locale}
+                aria-describedby={describedby}
+                onChange={this.onTimeChange}
+                onBlur={this.onBlur}
+            />
+            <InputGroupAddon title={this.getTimeZone()}>{formatOffset(getTimeZoneOffset(this.getValue() || new Date(), this.getTimeZone()))}</InputGroupAddon>
+        </InputGroup>
+    }
+
+    componentWillMount() {
+        if (this.isRegistered() && this.context.formGroup) this.context.formGroup.setName(this.props.name);
+    }
+
+    componentDidMount() {
+        if (this.isRegistered()) this.register();
+    }
+
+    componentDidUpdate(props) {
+        if (!this.context.form || (props.name === this.props.name && props.register === this.props.register)) return;
+        if (props.name && props.register !== false) this.context.form.unregister(props.name, this);
+        if (this.isRegistered()) this.register();
+    }
+
+    componentWillUnmount() {
+        if (this.isRegistered()) this.context.form.unregister(this.props.name, this);
+    }
+
+    isRegistered = () => !!(this.context.form && this.props.name && this.props.register !== false);
+    getTimeZone = () => this.props.timeZone || getTimeZone();
+    getRules = () => ({ required: this.props.required, min: this.props.min, max: this.props.max, validate: this.props.validate, messages: this.props.messages });
+
+    register = () => {
+        const { form } = this.context;
+        form.register(this.props.name, this);
+        if (this.props.value !== undefined) form.setValue(this.props.name, this.props.value, false);
+        else if (form.getValue(this.props.name) === undefined && this.props.defaultValue !== undefined) form.setValue(this.props.name, this.props.defaultValue, false);
+    }
+
+    getValue = () => {
+        if (this.props.value !== undefined) return this.props.value;
+        if (this.isRegistered()) return this.context.form.getValue(this.props.name);
+        return this.state.value;
+    }
+
+    setValue = value => {
+        if (this.isRegistered()) this.context.form.setValue(this.props.name, value);
+        else if (this.props.value === undefined) this.setState({ value });
+        if (this.props.onChange) this.props.onChange(value);
+    }
+
+    // Splits the instant into the calendar day and the wall clock time of the time zone, keeping a half-filled value.
+    getParts = (value = this.getValue()) => {
+        if (!isDate(value)) return { date: this.state.date, time: this.state.time };
+        const parts = getZonedParts(value, this.getTimeZone());
+        return {
+            date: new Date(parts.year, parts.month - 1, parts.day),
+            time: fromSeconds(parts.hours * 3600 + parts.minutes * 60 + parts.seconds, this.props.seconds),
+        };
+    }
+
+    update = (date, time) => {
+        this.setState({ date, time });
+        if (!isDate(date) || !time) return this.getValue() && this.setValue(null);
+
+        const [hours, minutes, seconds] = time.split(':').map(Number);
+        this.setValue(fromZonedParts({ year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), hours, minutes, seconds }, this.getTimeZone()));
+    }
+
+    onDateChange = date => {
+        const { time } = this.getParts();
+        this.update(date, time || (isDate(date) ? fromSeconds(0, this.props.seconds) : time));
+    }
+
+    onTimeChange = time => {
+        const { date } = this.getParts();
+        if (isDate(date) || !time) return this.update(date, time);
+        const today = getZonedParts(new Date(), this.getTimeZone());
+        this.update(new Date(today.year, today.month - 1, today.day), time);
+    }
+
+    onBlur = () => {
+        if (this.isRegistered()) this.context.form.touch(this.props.name);
+    }
+}
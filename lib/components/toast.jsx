@@ -0,0 +1,237 @@
+'use strict';
+
+import React, { Children, Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import { AlertControlled } from './alert';
+import Button from './button';
+import Portal from './portal';
+
+let provider = null;
+let pending = [];
+let count = 0;
+
+// Toasts raised before the provider mounts, from a fetch interceptor at boot for instance, are shown once it does.
+const show = (color, message, options = {}) => {
+    if (typeof options == 'number') options = { delay: options };
+    const item = { id: `toast-${++count}`, color, message, options };
+    if (provider) return provider.add(item);
+    pending.push(item);
+    return item.id;
+};
+
+export const toast = {
+    success: (message, options) => show('success', message, options),
+    info: (message, options) => show('info', message, options),
+    warning: (message, options) => show('warning', message, options),
+    danger: (message, options) => show('danger', message, options),
+    dismiss: id => {
+        if (provider) provider.dismiss(id);
+        else pending = pending.filter(item => item.id != id);
+    },
+    clear: () => {
+        if (provider) provider.clear();
+        pending = [];
+    },
+};
+
+class ToastItem extends Component {
+    static propTypes = {
+        item: PropTypes.object.isRequired,
+        delay: PropTypes.number,
+        onClose: PropTypes.func.isRequired,
+        onExited: PropTypes.func.isRequired,
+    };
+
+    render() {
+        const { item } = this.props;
+        const { title, actions, dismissable } = item.options;
+        const urgent = ['warning', 'danger'].indexOf(item.color) != -1;
+
+        return <AlertControlled className="toast" color={item.color} active={item.active}
+            role={urgent ? 'alert' : 'status'}
+            aria-atomic="true"
+            toggle={dismissable !== false ? this.onClose : undefined}
+            transition={{ unmountOnExit: true, onExited: this.props.onExited }}
+            onMouseEnter={this.onMouseEnter}
+            onMouseLeave={this.onMouseLeave}
+            onFocus={this.onFocus}
+            onBlur={this.onBlur}
+        >
+            {title && <strong className="toast-title">{title}</strong>}
+            <section className="toast-message">
+                {item.message}
+                {item.count > 1 && <span className="toast-count" aria-label={`${item.count} fois`}>×{item.count}</span>}
+            </section>
+            {actions && actions.length > 0 && <footer className="toast-actions">
+                {actions.map((action, index) => <Button key={index} size="sm" color={action.color || item.color} outline={!action.color} onClick={event => this.onAction(event, action)}>
+                    {action.label}
+                </Button>)}
+            </footer>}
+        </AlertControlled>
+    }
+
+    componentDidMount() {
+        this.start();
+    }
+
+    componentDidUpdate(props) {
+        if (!this.props.item.active) return this.stop();
+        if (this.props.item.count != props.item.count) this.start();
+    }
+
+    componentWillUnmount() {
+        this.stop();
+    }
+
+    getDelay = () => {
+        const { delay } = this.props.item.options;
+        return delay !== undefined ? delay : this.props.delay;
+    }
+
+    start = () => {
+        this.remaining = this.getDelay();
+        this.run();
+    }
+
+    stop = () => {
+        if (this.timeout) clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+
+    // A delay of 0 keeps the toast until it is dismissed.
+    run = () => {
+        this.stop();
+        if (this.isPaused() || !this.remaining || !this.props.item.active) return;
+        this.started = Date.now();
+        this.timeout = setTimeout(this.onClose, this.remaining);
+    }
+
+    // Hover and focus pause the toast independently, it resumes once neither holds it.
+    paused = {};
+    isPaused = () => Object.keys(this.paused).some(key => this.paused[key]);
+
+    pause = source => {
+        if (this.timeout) this.remaining = Math.max(0, this.remaining - (Date.now() - this.started));
+        this.stop();
+        this.paused[source] = true;
+    }
+
+    resume = source => {
+        this.paused[source] = false;
+        if (!this.timeout) this.run();
+    }
+
+    onMouseEnter = () => this.pause('hover');
+    onMouseLeave = () => this.resume('hover');
+    onFocus = () => this.pause('focus');
+
+    onBlur = event => {
+        if (event.currentTarget.contains(event.relatedTarget)) return;
+        this.resume('focus');
+    }
+
+    onClose = () => this.props.onClose(this.props.item.id);
+
+    onAction = (event, action) => {
+        if (action.onClick) action.onClick(event, this.props.item.id);
+        if (action.dismiss !== false) this.onClose();
+    }
+}
+
+export default class ToastProvider extends Component {
+    static propTypes = {
+        corner: PropTypes.oneOf(['top-left', 'top-right', 'bottom-left', 'bottom-right']),
+        max: PropTypes.number,
+        delay: PropTypes.number,
+        container: Portal.propTypes.container,
+    };
+
+    static defaultProps = {
+        corner: 'top-right',
+        max: 3,
+        delay: 5000,
+    };
+
+    static childContextTypes = {
+        toast: PropTypes.shape({
+            success: PropTypes.func.isRequired,
+            info: PropTypes.func.isRequired,
+            warning: PropTypes.func.isRequired,
+            danger: PropTypes.func.isRequired,
+            dismiss: PropTypes.func.isRequired,
+            clear: PropTypes.func.isRequired,
+        })
+    };
+
+    getChildContext = () => Object({ toast });
+
+    state = { toasts: [] };
+    toasts = [];
+
+    componentDidMount() {
+        provider = this;
+        const items = pending;
+        pending = [];
+        items.forEach(this.add);
+    }
+
+    componentWillUnmount() {
+        if (provider === this) provider = null;
+    }
+
+    render() {
+        const { children, corner, container } = this.props;
+        const visible = this.state.toasts.slice(0, this.props.max);
+        const classes = Classnames('toast-container', `toast-${corner}`);
+
+        return [
+            ...Children.toArray(children),
+            <Portal key="toast-container" container={container}>
+                <section className={classes} aria-live="polite" aria-relevant="additions">
+                    {visible.map(item => <ToastItem key={item.id} item={item} delay={this.props.delay} onClose={this.dismiss} onExited={() => this.remove(item.id)} />)}
+                </section>
+            </Portal>,
+        ];
+    }
+
+    // The list is kept on the instance as well, several toasts can be raised before React renders once.
+    update = toasts => {
+        this.toasts = toasts;
+        this.setState({ toasts });
+    }
+
+    getKey = item => item.options.key !== undefined ? item.options.key : `${item.color}:${item.message}`;
+
+    add = item => {
+        const key = this.getKey(item);
+        const duplicate = typeof item.message == 'string' || item.options.key !== undefined
+            ? this.toasts.find(other => other.active && other.key === key)
+            : null;
+        if (duplicate) {
+            this.update(this.toasts.map(other => other === duplicate ? { ...other, count: other.count + 1 } : other));
+            return duplicate.id;
+        }
+
+        this.update([...this.toasts, { ...item, key, count: 1, active: true }]);
+        return item.id;
+    }
+
+    dismiss = id => {
+        const item = this.toasts.find(item => item.id == id);
+        if (!item || !item.active) return;
+        if (item.options.onClose) item.options.onClose(id);
+
+        // Queued toasts were never shown, there is no transition to wait for.
+        if (this.toasts.indexOf(item) >= this.props.max) return this.remove(id);
+        this.update(this.toasts.map(other => other === item ? { ...other, active: false } : other));
+    }
+
+    clear = () => {
+        this.toasts.forEach(item => this.dismiss(item.id));
+    }
+
+    remove = id => {
+        this.update(this.toasts.filter(item => item.id != id));
+    }
+}
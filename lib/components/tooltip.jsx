@@ -6,71 +6,141 @@ import PropTypes from 'prop-types';
 import Classnames from 'classnames';
 import Fade from './transition/fade';
 import Tag from './tag';
+import Portal, { contains, isPortal } from './portal';
+import { overlayContext } from '../constants/proptypes';
+import { observe, position } from '../utils/position';
+import { getDelay, getTriggers, longPress, Trigger } from '../utils/trigger';
+
+const keyCodes = { esc: 27 };
+const trigger = PropTypes.oneOfType([PropTypes.string, PropTypes.arrayOf(PropTypes.oneOf(['hover', 'focus', 'click', 'longpress', 'manual']))]);
+const tooltipContext = PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    active: PropTypes.bool.isRequired,
+    trigger: PropTypes.arrayOf(PropTypes.string).isRequired,
+    enable: PropTypes.func,
+    disable: PropTypes.func,
+    toggle: PropTypes.func,
+    contains: PropTypes.func.isRequired,
+    setTarget: PropTypes.func.isRequired,
+    getTarget: PropTypes.func.isRequired,
+});
+
+let count = 0;
 
 class TooltipControlled extends Component {
     static propTypes = {
         ...Tag.propTypes,
         active: PropTypes.bool,
+        trigger,
         enable: PropTypes.func,
         disable: PropTypes.func,
         toggle: PropTypes.func,
+        close: PropTypes.func,
     }
 
     static defaultProps = {
         tag: 'span',
+        trigger: 'hover focus longpress',
     }
 
     static childContextTypes = {
-        tooltip: PropTypes.shape({
-            active: PropTypes.bool.isRequired,
-            enable: PropTypes.func,
-            disable: PropTypes.func,
-            setTarget: PropTypes.func.isRequired,
-            getTarget: PropTypes.func.isRequired,
-        })
+        tooltip: tooltipContext,
     };
 
     getChildContext = () => Object({
         tooltip: {
-            active: this.props.active,
+            id: this.id,
+            active: !!this.props.active,
+            trigger: getTriggers(this.props.trigger),
             enable: this.props.enable,
             disable: this.props.disable,
+            toggle: this.props.toggle,
+            contains: node => contains(ReactDOM.findDOMNode(this), node),
             setTarget: node => this.target = node,
             getTarget: () => this.target,
         }
     });
 
+    id = `tooltip-${++count}`;
+
     render() {
-        const { active, className, direction, enable, disable, ...props } = this.props;
+        const { active, className, direction, trigger, enable, disable, toggle, close, ...props } = this.props;
         const classes = Classnames(className, 'tooltip');
         return <Tag {...props} className={classes} />
     }
+
+    componentDidMount() {
+        if (this.props.active) this.addEvents();
+    }
+
+    componentDidUpdate(props) {
+        if (this.props.active !== props.active) {
+            if (this.props.active) this.addEvents();
+            else this.removeEvents();
+        }
+    }
+
+    componentWillUnmount() { this.removeEvents(); }
+
+    addEvents = () => {
+        document.addEventListener('keydown', this.onKeyDown, true);
+        document.addEventListener('touchstart', this.onTouchStart, true);
+    }
+
+    removeEvents = () => {
+        document.removeEventListener('keydown', this.onKeyDown, true);
+        document.removeEventListener('touchstart', this.onTouchStart, true);
+    }
+
+    onKeyDown = event => {
+        if (event.which !== keyCodes.esc || !this.props.close) return;
+        event.preventDefault();
+        this.props.close(event);
+    }
+
+    onTouchStart = event => {
+        if (this.props.close && !contains(ReactDOM.findDOMNode(this), event.target)) this.props.close(event);
+    }
 }
 
 export default class Tooltip extends Component {
     static propTypes = {
         controlled: PropTypes.bool,
+        active: PropTypes.bool,
+        trigger,
+        delay: PropTypes.oneOfType([PropTypes.number, PropTypes.shape({ show: PropTypes.number, hide: PropTypes.number })]),
+        onToggle: PropTypes.func,
     }
 
-    state = { hovered: false, inside: false };
-    enable = () => this.setState({ hovered: true, inside: true });
-    disable = () => this.setState({ hovered: false });
+    static defaultProps = {
+        trigger: 'hover focus longpress',
+        delay: { show: 0, hide: 300 },
+    }
 
-    componentWillUpdate(props, state) {
-        if (!state.hovered && state.hovered != this.state.hovered) {
-            if (this.timeout) clearTimeout(this.timeout);
-            this.timeout = setTimeout(() => this.setState({ inside: this.state.hovered }), 300);
-        }
+    state = { active: false };
+    trigger = new Trigger(active => {
+        this.setState({ active });
+        if (this.props.onToggle) this.props.onToggle(active);
+    });
+
+    enable = (source = 'hover') => this.trigger.set(source, true, getDelay(this.props.delay).show);
+    disable = (source = 'hover') => this.trigger.set(source, false, getDelay(this.props.delay).hide);
+    toggle = (source = 'click') => this.trigger.set(source, !this.trigger.is(source));
+
+    // With a manual trigger the parent owns the state, it only gets told about Escape.
+    close = () => {
+        this.trigger.reset();
+        if (this.props.active !== undefined && this.props.onToggle) this.props.onToggle(false);
     }
 
     render() {
-        let { controlled, ...props } = this.props;
-        if (controlled) return <TooltipControlled {...props} />
-        return <TooltipControlled {...props} active={this.state.inside} enable={this.enable} disable={this.disable} />
+        let { controlled, active, delay, onToggle, ...props } = this.props;
+        if (controlled) return <TooltipControlled {...props} active={active} />
+        return <TooltipControlled {...props} active={active !== undefined ? active : this.state.active} enable={this.enable} disable={this.disable} toggle={this.toggle} close={this.close} />
     }
 
     componentWillUnmount() {
-        if (this.timeout) clearTimeout(this.timeout);
+        this.trigger.cancel();
     }
 }
 
@@ -79,34 +149,37 @@ export class TooltipInner extends Component {
         ...Fade.propTypes,
         arrow: PropTypes.oneOfType([PropTypes.bool, PropTypes.string, PropTypes.number]),
         direction: PropTypes.oneOf(['auto', 'top','bottom','left','right']),
+        flip: PropTypes.bool,
+        portal: PropTypes.oneOfType([PropTypes.bool, PropTypes.object, PropTypes.func]),
         transition: PropTypes.shape(Fade.propTypes),
     }
 
     static defaultProps = {
         tag: 'article',
         direction: 'auto',
+        flip: true,
     }
 
     static contextTypes = {
-        tooltip: PropTypes.shape({
-            active: PropTypes.bool.isRequired,
-            enable: PropTypes.func,
-            disable: PropTypes.func,
-            setTarget: PropTypes.func.isRequired,
-            getTarget: PropTypes.func.isRequired,
-        })
+        tooltip: tooltipContext,
+        overlay: overlayContext,
     }
 
+    state = { placement: null };
+
     render() {
-        const { active } = this.context.tooltip;
-        const { arrow, className, children, direction, transition, ...props } = this.props;
-        const classes = Classnames(className, 'tooltip-inner', `tooltip-${this.props.direction}`, { active });
+        const { active, id } = this.context.tooltip;
+        const { arrow, className, children, direction, flip, portal, pointer, transition, ...props } = this.props;
+        const inPortal = isPortal(this.props, this.context);
+        const classes = Classnames(className, inPortal && 'tooltip', 'tooltip-inner', `tooltip-${this.state.placement || direction}`, { active });
         const arrowClasses = Classnames(className, 'arrow', arrow === true && 'arrow-middle');
 
-        return <Fade {...props} {...transition} className={classes} active={this.context.tooltip.active} role="tooltip" onMouseEnter={this.onMouseEnter} onMouseLeave={this.onMouseLeave}>
-            {arrow && <section className={arrowClasses} />}
-            {children}
-        </Fade>
+        return <Portal disabled={!inPortal} container={inPortal === true ? undefined : inPortal}>
+            <Fade id={id} {...props} {...transition} pointer={this.setNode} className={classes} active={active} role="tooltip" onMouseEnter={this.onMouseEnter} onMouseLeave={this.onMouseLeave}>
+                {arrow && <section className={arrowClasses} />}
+                {children}
+            </Fade>
+        </Portal>
     }
 
     componentDidMount() {
@@ -117,55 +190,39 @@ export class TooltipInner extends Component {
         this.componentDidRendered();
     }
 
+    componentWillUnmount() {
+        this.unobserve();
+    }
+
     componentDidRendered() {
-        if (this.context.tooltip.active) {
-            const popper = ReactDOM.findDOMNode(this);
-            const target = this.context.tooltip.getTarget();
-            this.setOffsetLeft(target, popper, this.props.direction);
-            this.setOffsetTop(target, popper, this.props.direction);
-        }
+        const popper = this.node;
+        if (!this.context.tooltip.active || !popper) return this.unobserve();
+
+        const placement = position(this.context.tooltip.getTarget(), popper, { direction: this.props.direction, flip: this.props.flip });
+        if (placement && placement != this.state.placement) this.setState({ placement });
+        if (!this.observer) this.observer = observe(() => this.componentDidRendered());
+    }
+
+    unobserve = () => {
+        if (this.observer) this.observer();
+        this.observer = null;
+    }
+
+    setNode = node => {
+        this.node = node;
+        if (this.props.pointer instanceof Function) this.props.pointer(node);
     }
 
     onMouseEnter = event => {
         if (this.props.onMouseEnter) this.props.onMouseEnter(event);
-        this.context.tooltip.enable();
-    } 
+        const { enable, trigger } = this.context.tooltip;
+        if (enable && trigger.indexOf('hover') != -1) enable('hover');
+    }
 
     onMouseLeave = event => {
         if (this.props.onMouseLeave) this.props.onMouseLeave(event);
-        this.context.tooltip.disable();
-    }
-
-    setOffsetLeft = (target, popper, direction) => {
-        switch (direction) {
-            case 'left':
-                popper.style.left = 'auto';
-                popper.style.right = `${target.offsetWidth}px`;
-                break;
-            case 'right':
-                popper.style.left = `${target.offsetWidth}px`;
-                break;
-            case 'bottom':
-            case 'top':
-                popper.style.left = `${target.offsetWidth / 2 - popper.offsetWidth / 2}px`;
-                break;
-        }
-    }
-
-    setOffsetTop = (target, popper, direction) => {
-        switch (direction) {
-            case 'top':
-                popper.style.top = 'auto';
-                popper.style.bottom = `${target.offsetHeight}px`;
-                break;
-            case 'bottom':
-                popper.style.top = `${target.offsetHeight}px`;
-                break;
-            case 'left':
-            case 'right':
-                popper.style.top = `${target.offsetHeight / 2 - popper.offsetHeight / 2}px`;
-                break;
-        }
+        const { disable, trigger } = this.context.tooltip;
+        if (disable && trigger.indexOf('hover') != -1) disable('hover');
     }
 }
 
@@ -179,34 +236,89 @@ export class TooltipToggle extends Component {
     }
 
     static contextTypes = {
-        tooltip: PropTypes.shape({
-            active: PropTypes.bool.isRequired,
-            enable: PropTypes.func,
-            disable: PropTypes.func,
-            setTarget: PropTypes.func.isRequired,
-            getTarget: PropTypes.func.isRequired,
-        })
-    }        
+        tooltip: tooltipContext,
+    }
 
     render() {
         const { className, ...props } = this.props;
         const classes = Classnames(className, 'tooltip-toggle');
-        return <Tag {...props} className={classes} onMouseEnter={this.onMouseEnter} onMouseLeave={this.onMouseLeave} />
+        const describedBy = [props['aria-describedby'], this.context.tooltip.id].filter(id => id).join(' ');
+
+        return <Tag {...props} className={classes} aria-describedby={describedBy}
+            onMouseEnter={this.onMouseEnter}
+            onMouseLeave={this.onMouseLeave}
+            onFocus={this.onFocus}
+            onBlur={this.onBlur}
+            onClick={this.onClick}
+            onTouchStart={this.onTouchStart}
+            onTouchMove={this.onTouchMove}
+            onTouchEnd={this.onTouchEnd}
+        />
     }
 
     componentDidMount() {
         this.context.tooltip.setTarget(ReactDOM.findDOMNode(this));
     }
 
+    componentWillUnmount() {
+        if (this.press) clearTimeout(this.press);
+    }
+
+    has = (trigger, action) => this.context.tooltip.trigger.indexOf(trigger) != -1 && !!this.context.tooltip[action];
+
+    // Browsers emulate mouse events after a touch, they must not open the tooltip a long press handles.
+    isTouch = () => this.has('longpress', 'enable') && this.touched && Date.now() - this.touched < 1000;
+
     onMouseEnter = event => {
         if (this.props.onMouseEnter) this.props.onMouseEnter(event);
-        this.context.tooltip.enable(event);
+        if (this.has('hover', 'enable') && !this.isTouch()) this.context.tooltip.enable('hover');
     }
 
     onMouseLeave = event => {
         if (this.props.onMouseLeave) this.props.onMouseLeave(event);
-        if (this.context.tooltip.inside) return;
-        this.context.tooltip.disable(event);
+        if (this.has('hover', 'disable')) this.context.tooltip.disable('hover');
+    }
+
+    onFocus = event => {
+        if (this.props.onFocus) this.props.onFocus(event);
+        if (this.has('focus', 'enable') && !this.isTouch()) this.context.tooltip.enable('focus');
+    }
+
+    onBlur = event => {
+        if (this.props.onBlur) this.props.onBlur(event);
+        if (this.has('focus', 'disable') && !this.context.tooltip.contains(event.relatedTarget)) this.context.tooltip.disable('focus');
+    }
+
+    onClick = event => {
+        if (this.props.onClick) this.props.onClick(event);
+        if (this.has('click', 'toggle')) this.context.tooltip.toggle('click');
+    }
+
+    onTouchStart = event => {
+        if (this.props.onTouchStart) this.props.onTouchStart(event);
+        if (!this.has('longpress', 'enable')) return;
+        this.touched = Date.now();
+        if (this.press) clearTimeout(this.press);
+        this.press = setTimeout(() => {
+            this.pressed = true;
+            this.context.tooltip.enable('press');
+        }, longPress);
+    }
+
+    onTouchMove = event => {
+        if (this.props.onTouchMove) this.props.onTouchMove(event);
+        if (this.press) clearTimeout(this.press);
+    }
+
+    onTouchEnd = event => {
+        if (this.props.onTouchEnd) this.props.onTouchEnd(event);
+        if (this.press) clearTimeout(this.press);
+        this.touched = Date.now();
+        if (!this.pressed) return;
+
+        event.preventDefault();
+        this.pressed = false;
+        if (this.context.tooltip.disable) this.context.tooltip.disable('press');
     }
 }
 
@@ -0,0 +1,160 @@
+'use strict';
+
+import React, { Children, Component } from 'react';
+import PropTypes from 'prop-types';
+import Classnames from 'classnames';
+import Tag from './tag';
+import { getOffsets, getRange, getScrollOffset } from '../utils/virtual';
+
+export default class Virtual extends Component {
+    static propTypes = {
+        ...Tag.propTypes,
+        count: PropTypes.number.isRequired,
+        height: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+        itemHeight: PropTypes.oneOfType([PropTypes.number, PropTypes.func]),
+        estimatedHeight: PropTypes.number,
+        overscan: PropTypes.number,
+        sticky: PropTypes.bool,
+        onRender: PropTypes.func.isRequired,
+    };
+
+    static defaultProps = {
+        tag: 'section',
+        height: 400,
+        estimatedHeight: 40,
+        overscan: 5,
+        sticky: false,
+    };
+
+    static renderRange = (start, end, render) => {
+        const children = [];
+        for (let index = start; index < end; index++) {
+            Children.toArray(render(index)).forEach(child => {
+                children.push(React.cloneElement(child, { key: `${index}${child.key}`, 'data-virtual-index': index }));
+            });
+        }
+        return children;
+    }
+
+    state = { scrollTop: 0, viewport: 0 };
+    heights = {};
+    origin = 0;
+
+    getHeight = index => {
+        const { itemHeight, estimatedHeight } = this.props;
+        if (typeof itemHeight == 'number') return itemHeight;
+        if (itemHeight instanceof Function) return itemHeight(index);
+        return this.heights[index] === undefined ? estimatedHeight : this.heights[index];
+    }
+
+    getOffsets = () => {
+        const { count, itemHeight, estimatedHeight } = this.props;
+        if (!this.offsets || this.offsets.length != count + 1 || this.itemHeight !== itemHeight || this.estimatedHeight !== estimatedHeight) {
+            this.offsets = getOffsets(count, this.getHeight);
+            this.itemHeight = itemHeight;
+            this.estimatedHeight = estimatedHeight;
+        }
+        return this.offsets;
+    }
+
+    render() {
+        const { className, count, height, itemHeight, estimatedHeight, overscan, sticky, onRender, style, ...props } = this.props;
+        const classes = Classnames(className, 'virtual');
+        const viewport = this.state.viewport || (typeof height == 'number' ? height : 0);
+        const range = getRange(this.getOffsets(), this.state.scrollTop - this.origin, viewport, overscan);
+
+        return <Tag {...props} pointer={node => this.node = node} className={classes} style={{ ...style, height, overflowY: 'auto' }} onScroll={this.onScroll}>
+            {onRender(range)}
+        </Tag>
+    }
+
+    componentDidMount() {
+        window.addEventListener('resize', this.onResize);
+        this.onResize();
+    }
+
+    componentDidUpdate() {
+        this.measure();
+    }
+
+    componentWillUnmount() {
+        window.removeEventListener('resize', this.onResize);
+        if (this.frame) cancelAnimationFrame(this.frame);
+    }
+
+    measure = () => {
+        if (!this.node) return;
+
+        const spacer = this.node.querySelector('[data-virtual-spacer]');
+        if (spacer) {
+            const origin = spacer.getBoundingClientRect().top - this.node.getBoundingClientRect().top + this.node.scrollTop;
+            if (Math.abs(origin - this.origin) > 0.5) {
+                this.origin = origin;
+                return this.forceUpdate();
+            }
+        }
+
+        if (this.props.itemHeight !== undefined) return;
+
+        const heights = {};
+        const elements = this.node.querySelectorAll('[data-virtual-index]');
+        for (let i = 0; i < elements.length; i++) {
+            const index = elements[i].getAttribute('data-virtual-index');
+            heights[index] = (heights[index] || 0) + elements[i].getBoundingClientRect().height;
+        }
+
+        let changed = false;
+        Object.keys(heights).forEach(index => {
+            if (this.heights[index] === undefined || Math.abs(this.heights[index] - heights[index]) > 0.5) {
+                this.heights[index] = heights[index];
+                changed = true;
+            }
+        });
+        if (changed) {
+            this.offsets = null;
+            this.forceUpdate();
+        }
+    }
+
+    scrollToIndex = (index, align = 'auto') => {
+        if (!this.node) return;
+        const header = this.props.sticky ? this.origin : 0;
+        const viewport = this.node.clientHeight - header;
+        const scrollTop = this.node.scrollTop - this.origin + header;
+        const offset = getScrollOffset(this.getOffsets(), index, viewport, scrollTop, align);
+        this.node.scrollTop = Math.max(0, offset + this.origin - header);
+    }
+
+    onResize = () => {
+        if (!this.node) return;
+        this.setState({ viewport: this.node.clientHeight, scrollTop: this.node.scrollTop });
+    }
+
+    onScroll = event => {
+        if (this.props.onScroll) this.props.onScroll(event);
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            if (this.node) this.setState({ scrollTop: this.node.scrollTop });
+        });
+    }
+}
+
+export class VirtualSpacer extends Component {
+    static propTypes = {
+        ...Tag.propTypes,
+        height: PropTypes.number.isRequired,
+        position: PropTypes.oneOf(['before', 'after']).isRequired,
+    };
+
+    static defaultProps = {
+        tag: 'li',
+    };
+
+    render() {
+        const { className, height, position, style, ...props } = this.props;
+        const classes = Classnames(className, 'virtual-spacer');
+        return <Tag {...props} className={classes} style={{ ...style, height }} data-virtual-spacer={position} aria-hidden="true" />
+    }
+}
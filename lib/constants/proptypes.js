@@ -8,4 +8,32 @@ export const transition = PropTypes.shape({
         enter: PropTypes.number,
         leave: PropTypes.number,
     })
-})
\ No newline at end of file
+});
+
+export const formContext = PropTypes.shape({
+    register: PropTypes.func.isRequired,
+    unregister: PropTypes.func.isRequired,
+    getValue: PropTypes.func.isRequired,
+    setValue: PropTypes.func.isRequired,
+    setArray: PropTypes.func.isRequired,
+    getError: PropTypes.func.isRequired,
+    isVisible: PropTypes.func.isRequired,
+    touch: PropTypes.func.isRequired,
+});
+
+export const formGroupContext = PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    getName: PropTypes.func.isRequired,
+    setName: PropTypes.func.isRequired,
+});
+
+export const overlayContext = PropTypes.shape({
+    portal: PropTypes.bool,
+    getContainer: PropTypes.func.isRequired,
+});
+
+export const historyAdapter = PropTypes.shape({
+    get: PropTypes.func.isRequired,
+    set: PropTypes.func.isRequired,
+    subscribe: PropTypes.func,
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+// Regions starting the week on sunday or saturday, the others start on monday (ISO 8601).
+const sunday = ['AG', 'AS', 'AU', 'BD', 'BR', 'BS', 'BT', 'BW', 'BZ', 'CA', 'CN', 'CO', 'DM', 'DO', 'ET', 'GT', 'GU', 'HK', 'HN', 'ID', 'IL', 'IN', 'JM', 'JP', 'KE', 'KH', 'KR', 'LA', 'MH', 'MM', 'MO', 'MT', 'MX', 'MZ', 'NI', 'NP', 'PA', 'PE', 'PH', 'PK', 'PR', 'PT', 'PY', 'SA', 'SG', 'SV', 'TH', 'TT', 'TW', 'UM', 'US', 'VE', 'VI', 'WS', 'YE', 'ZA', 'ZW'];
+const saturday = ['AE', 'AF', 'BH', 'DJ', 'DZ', 'EG', 'IQ', 'IR', 'JO', 'KW', 'LY', 'OM', 'QA', 'SD', 'SY'];
+
+const getLocale = locale => locale || new Intl.DateTimeFormat().resolvedOptions().locale;
+
+const isDate = module.exports.isDate = value => value instanceof Date && !isNaN(value.getTime());
+
+const startOfDay = module.exports.startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = module.exports.addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+module.exports.addMonths = (date, months) => {
+    const last = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+    return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), last));
+};
+
+const compareDays = module.exports.compareDays = (a, b) => startOfDay(a).getTime() - startOfDay(b).getTime();
+
+module.exports.isSameDay = (a, b) => isDate(a) && isDate(b) && compareDays(a, b) == 0;
+
+module.exports.isSameMonth = (a, b) => isDate(a) && isDate(b) && a.getFullYear() == b.getFullYear() && a.getMonth() == b.getMonth();
+
+module.exports.getFirstDay = locale => {
+    locale = getLocale(locale);
+    if (Intl.Locale) {
+        const info = new Intl.Locale(locale);
+        const week = info.getWeekInfo instanceof Function ? info.getWeekInfo() : info.weekInfo;
+        if (week && week.firstDay) return week.firstDay % 7;
+    }
+
+    const region = (/[-_]([a-z]{2})$/i.exec(locale) || [])[1];
+    if (!region) return locale.indexOf('en') == 0 ? 0 : 1;
+    if (sunday.indexOf(region.toUpperCase()) != -1) return 0;
+    if (saturday.indexOf(region.toUpperCase()) != -1) return 6;
+    return 1;
+};
+
+module.exports.getMonthNames = (locale, month = 'long') => {
+    const format = new Intl.DateTimeFormat(getLocale(locale), { month });
+    return Array.apply(null, Array(12)).map((value, index) => format.format(new Date(2000, index, 1)));
+};
+
+module.exports.getWeekdayNames = (locale, firstDay = 0, weekday = 'short') => {
+    const format = new Intl.DateTimeFormat(getLocale(locale), { weekday });
+    // The 2nd of January 2000 is a sunday.
+    return Array.apply(null, Array(7)).map((value, index) => format.format(new Date(2000, 0, 2 + (index + firstDay) % 7)));
+};
+
+module.exports.getWeeks = (date, firstDay = 0) => {
+    const first = new Date(date.getFullYear(), date.getMonth(), 1);
+    const start = addDays(first, -((first.getDay() - firstDay + 7) % 7));
+    return Array.apply(null, Array(6)).map((week, row) => {
+        return Array.apply(null, Array(7)).map((day, column) => addDays(start, row * 7 + column));
+    });
+};
+
+const formats = { year: 'numeric', month: '2-digit', day: '2-digit' };
+
+module.exports.formatDate = (date, locale, options = formats) => {
+    if (!isDate(date)) return '';
+    return new Intl.DateTimeFormat(getLocale(locale), options).format(date);
+};
+
+// Reads the numbers in the order of the locale, "22/11/2000" in French or "11/22/2000" in English, and ISO dates.
+module.exports.parseDate = (text, locale) => {
+    if (isDate(text)) return text;
+    if (text === undefined || text === null || !String(text).trim()) return null;
+
+    text = String(text).trim();
+    let year, month, day;
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+    if (iso) {
+        year = Number(iso[1]);
+        month = Number(iso[2]);
+        day = Number(iso[3]);
+    } else {
+        const order = new Intl.DateTimeFormat(getLocale(locale), formats)
+            .formatToParts(new Date(2000, 10, 22))
+            .map(part => part.type)
+            .filter(type => ['year', 'month', 'day'].indexOf(type) != -1);
+        const numbers = text.split(/\D+/).filter(number => number !== '').map(Number);
+        if (numbers.length != 3) return null;
+
+        const values = order.reduce((values, type, index) => Object.assign(values, { [type]: numbers[index] }), {});
+        year = values.year < 100 ? 2000 + values.year : values.year;
+        month = values.month;
+        day = values.day;
+    }
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() != year || date.getMonth() != month - 1 || date.getDate() != day) return null;
+    return date;
+};
+
+module.exports.isDisabled = (date, { min, max, disabled } = {}) => {
+    if (isDate(min) && compareDays(date, min) < 0) return true;
+    if (isDate(max) && compareDays(date, max) > 0) return true;
+    if (disabled instanceof Function) return !!disabled(date);
+    if (Array.isArray(disabled)) return disabled.some(item => isDate(item) && compareDays(date, item) == 0);
+    return false;
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+module.exports.getTimeZone = () => new Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const getZonedParts = module.exports.getZonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }).formatToParts(date).reduce((parts, part) => Object.assign(parts, { [part.type]: Number(part.value) }), {});
+    return { year: parts.year, month: parts.month, day: parts.day, hours: parts.hour % 24, minutes: parts.minute, seconds: parts.second };
+};
+
+// Minutes to add to UTC to get the wall clock time of the zone at that instant, e.g. 120 for Paris in summer.
+const getTimeZoneOffset = module.exports.getTimeZoneOffset = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    const utc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+    return Math.round((utc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+module.exports.fromZonedParts = (parts, timeZone) => {
+    const utc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours || 0, parts.minutes || 0, parts.seconds || 0);
+    const offset = getTimeZoneOffset(new Date(utc), timeZone);
+    const date = new Date(utc - offset * 60000);
+    const corrected = getTimeZoneOffset(date, timeZone);
+    return corrected == offset ? date : new Date(utc - corrected * 60000);
+};
+
+module.exports.formatOffset = minutes => {
+    const sign = minutes < 0 ? '-' : '+';
+    minutes = Math.abs(minutes);
+    return `UTC${sign}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+module.exports.isHour12 = locale => {
+    const options = new Intl.DateTimeFormat(getLocale(locale), { hour: 'numeric' }).resolvedOptions();
+    return options.hourCycle ? ['h11', 'h12'].indexOf(options.hourCycle) != -1 : !!options.hour12;
+};
+
+module.exports.getDayPeriods = locale => {
+    const format = new Intl.DateTimeFormat(getLocale(locale), { hour: 'numeric', hour12: true });
+    return [1, 13].map(hours => {
+        const part = format.formatToParts(new Date(2000, 0, 1, hours)).find(part => part.type == 'dayPeriod');
+        return part ? part.value : (hours < 12 ? 'AM' : 'PM');
+    });
+};
+
+module.exports.toSeconds = time => {
+    if (!time) return null;
+    const [hours, minutes, seconds] = String(time).split(':').map(Number);
+    return hours * 3600 + (minutes || 0) * 60 + (seconds || 0);
+};
+
+module.exports.fromSeconds = (total, seconds = false) => {
+    total = ((total % 86400) + 86400) % 86400;
+    const time = `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total % 3600 / 60))}`;
+    return seconds ? `${time}:${pad(total % 60)}` : time;
+};
+
+// Reads "14:30", "14h30", "2:30 pm" or "0230", the day period being matched against the given labels.
+module.exports.parseTime = (text, periods = ['AM', 'PM']) => {
+    if (text === undefined || text === null || !String(text).trim()) return null;
+    const match = /^\s*(\d{1,2})(?:\s*[:h.]\s*(\d{1,2}))?(?:\s*[:m.]\s*(\d{1,2}))?\s*s?\s*(.*)$/i.exec(String(text).replace(/^(\d{2})(\d{2})(?=\D|$)/, '$1:$2'));
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const seconds = Number(match[3] || 0);
+    const period = match[4].replace(/[\s.]/g, '').toLowerCase();
+    if (period) {
+        const index = periods.map(label => label.replace(/[\s.]/g, '').toLowerCase()).findIndex(label => label == period || label.indexOf(period) == 0);
+        if (index == -1 || hours < 1 || hours > 12) return null;
+        hours = hours % 12 + index * 12;
+    }
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    return hours * 3600 + minutes * 60 + seconds;
+};
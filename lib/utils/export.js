@@ -0,0 +1,97 @@
+'use strict';
+
+const { getText } = require('./table');
+
+const types = module.exports.types = {
+    csv: 'text/csv;charset=utf-8',
+    tsv: 'text/tab-separated-values;charset=utf-8',
+    json: 'application/json;charset=utf-8',
+};
+
+const getHeader = column => {
+    if (typeof column.header == 'string' || typeof column.header == 'number') return String(column.header);
+    return column.key;
+};
+
+const getColumns = columns => columns.filter(column => column.exportable !== false);
+
+// Quotes a field as described by RFC 4180: delimiter, quote or line break force quoting, quotes are doubled.
+// Leading and trailing spaces are quoted as well, spreadsheets would trim them otherwise.
+const escape = module.exports.escape = (value, delimiter = ',') => {
+    value = value === null || value === undefined ? '' : String(value);
+    if (value.indexOf(delimiter) == -1 && !/["\r\n]|^\s|\s$/.test(value)) return value;
+    return `"${value.replace(/"/g, '""')}"`;
+};
+
+const toDelimited = module.exports.toDelimited = (rows, columns, options = {}) => {
+    const { delimiter = ',', header = true, newline = '\r\n' } = options;
+    columns = getColumns(columns);
+
+    const lines = rows.map(row => columns.map(column => escape(getText(row, column), delimiter)).join(delimiter));
+    if (header) lines.unshift(columns.map(column => escape(getHeader(column), delimiter)).join(delimiter));
+    return lines.join(newline);
+};
+
+const toCSV = module.exports.toCSV = (rows, columns, options = {}) => {
+    return toDelimited(rows, columns, Object.assign({}, options, { delimiter: ',' }));
+};
+
+const toTSV = module.exports.toTSV = (rows, columns, options = {}) => {
+    return toDelimited(rows, columns, Object.assign({}, options, { delimiter: '\t' }));
+};
+
+const toJSON = module.exports.toJSON = (rows, columns, options = {}) => {
+    const { space = 2 } = options;
+    columns = getColumns(columns);
+    return JSON.stringify(rows.map(row => columns.reduce((item, column) => {
+        item[column.key] = getText(row, column);
+        return item;
+    }, {})), null, space);
+};
+
+module.exports.serialize = (format, rows, columns, options) => {
+    switch (format) {
+        case 'csv': return toCSV(rows, columns, options);
+        case 'tsv': return toTSV(rows, columns, options);
+        case 'json': return toJSON(rows, columns, options);
+    }
+    throw new Error(`Unknown export format "${format}", expected one of ${Object.keys(types).join(', ')}.`);
+};
+
+module.exports.download = (content, filename, type) => {
+    const blob = new Blob([type && type != types.json ? '\ufeff' : '', content], { type });
+    if (window.navigator.msSaveOrOpenBlob) return window.navigator.msSaveOrOpenBlob(blob, filename);
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return blob;
+};
+
+module.exports.copy = text => {
+    if (window.navigator.clipboard && window.navigator.clipboard.writeText) {
+        return window.navigator.clipboard.writeText(text);
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    try {
+        const copied = document.execCommand('copy');
+        return copied ? Promise.resolve() : Promise.reject(new Error('Copy to clipboard was refused.'));
+    } catch (error) {
+        return Promise.reject(error);
+    } finally {
+        document.body.removeChild(textarea);
+    }
+};
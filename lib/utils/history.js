@@ -0,0 +1,90 @@
+'use strict';
+
+// History adapters keep UI state in the address so a reload or a shared link restores it.
+// get(key) returns a string or null, set(key, value) removes the key for null, subscribe(callback) reports changes.
+
+// A malformed escape, in a parameter some other code owns, must not break the whole address.
+const decode = text => {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+};
+
+const parse = text => String(text || '').replace(/^[?#]/, '').split('&').filter(part => part).map(part => {
+    const index = part.indexOf('=');
+    if (index == -1) return [decode(part)];
+    return [decode(part.slice(0, index)), decode(part.slice(index + 1).replace(/\+/g, ' '))];
+});
+
+const stringify = params => params.map(([key, value]) => {
+    if (value === undefined) return encodeURIComponent(key);
+    return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+}).join('&');
+
+const update = (params, key, value) => {
+    const next = params.filter(param => param[0] !== key || param.length == 1);
+    if (value === null || value === undefined) return next;
+    const index = params.findIndex(param => param[0] === key && param.length == 2);
+    next.splice(index == -1 ? next.length : index, 0, [key, String(value)]);
+    return next;
+};
+
+const create = (read, write) => {
+    let listeners = [];
+    const adapter = {
+        get: key => {
+            const param = read().find(param => param[0] === key && param.length == 2);
+            return param ? param[1] : null;
+        },
+        set: (key, value) => {
+            if (adapter.get(key) === (value === null || value === undefined ? null : String(value))) return;
+            write(update(read(), key, value));
+            adapter.notify();
+        },
+        subscribe: callback => {
+            listeners.push(callback);
+            return () => listeners = listeners.filter(listener => listener !== callback);
+        },
+        notify: () => listeners.forEach(listener => listener()),
+    };
+    return adapter;
+};
+
+module.exports.parse = parse;
+module.exports.stringify = stringify;
+
+// The query keeps the state visible to the server, the hash keeps it on the client only.
+module.exports.browser = ({ mode = 'query', push = false } = {}) => {
+    const read = () => parse(mode == 'hash' ? window.location.hash : window.location.search);
+    const write = params => {
+        const { pathname, search, hash } = window.location;
+        const text = stringify(params);
+        const url = mode == 'hash'
+            ? `${pathname}${search}${text ? `#${text}` : ''}`
+            : `${pathname}${text ? `?${text}` : ''}${hash}`;
+        window.history[push ? 'pushState' : 'replaceState'](window.history.state, '', url);
+    };
+
+    const adapter = create(read, write);
+    window.addEventListener('popstate', adapter.notify);
+    if (mode == 'hash') window.addEventListener('hashchange', adapter.notify);
+    return adapter;
+};
+
+module.exports.memory = (initial = '') => {
+    let params = parse(initial);
+    const adapter = create(() => params, next => params = next);
+    adapter.toString = () => stringify(params);
+    return adapter;
+};
+
+let fallback = null;
+
+module.exports.getHistory = () => {
+    if (!fallback) fallback = module.exports.browser();
+    return fallback;
+};
+
+module.exports.setHistory = adapter => fallback = adapter;
@@ -8,3 +8,35 @@ module.exports.slugify = text => {
     text = text.toLowerCase();
     return text;
 };
+
+module.exports.focusable = [
+    'a[href]', 'area[href]', 'button:not([disabled])', 'iframe', 'object', 'embed', '[contenteditable]',
+    'input:not([disabled]):not([type="hidden"])', 'select:not([disabled])', 'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+module.exports.getFocusables = node => {
+    if (!node) return [];
+    return Array.prototype.slice.call(node.querySelectorAll(module.exports.focusable)).filter(element => {
+        return element.offsetWidth || element.offsetHeight || element.getClientRects().length;
+    });
+};
+
+const toPath = module.exports.toPath = name => {
+    if (Array.isArray(name)) return name;
+    return String(name).replace(/\[([^\]]*)\]/g, '.$1').split('.').filter(key => key !== '');
+};
+
+module.exports.getIn = (object, name) => {
+    return toPath(name).reduce((value, key) => value === undefined || value === null ? undefined : value[key], object);
+};
+
+const setIn = module.exports.setIn = (object, name, value) => {
+    const [key, ...path] = toPath(name);
+    if (key === undefined) return value;
+
+    const current = object === undefined || object === null ? (/^\d+$/.test(key) ? [] : {}) : object;
+    const copy = Array.isArray(current) ? current.slice() : Object.assign({}, current);
+    copy[key] = setIn(current[key], path, value);
+    return copy;
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+const tokens = module.exports.tokens = {
+    '9': /\d/,
+    'a': /[a-z]/i,
+    '*': /[a-z\d]/i,
+};
+
+const compile = pattern => {
+    const slots = [];
+    for (let index = 0; index < pattern.length; index++) {
+        if (pattern[index] == '\\' && index + 1 < pattern.length) slots.push({ literal: pattern[++index] });
+        else if (tokens[pattern[index]]) slots.push({ token: tokens[pattern[index]] });
+        else slots.push({ literal: pattern[index] });
+    }
+    return slots;
+};
+
+// A function mask receives the typed text and returns the pattern to apply, e.g. to switch patterns on length.
+module.exports.getPattern = (mask, value) => mask instanceof Function ? mask(value === undefined || value === null ? '' : String(value)) : mask;
+
+module.exports.conform = (value, pattern) => {
+    value = value === undefined || value === null ? '' : String(value);
+    const slots = compile(pattern || '');
+    let formatted = '', raw = '', pending = '', typed = '', position = 0, index = 0;
+
+    for (; index < slots.length && position < value.length; index++) {
+        const slot = slots[index];
+        if (slot.literal !== undefined) {
+            pending += slot.literal;
+            if (value[position] == slot.literal) {
+                position++;
+                typed = pending;
+            }
+            continue;
+        }
+
+        while (position < value.length && !slot.token.test(value[position])) position++;
+        if (position == value.length) break;
+        formatted += pending + value[position];
+        raw += value[position++];
+        pending = typed = '';
+    }
+
+    formatted += typed;
+    return { formatted, raw, complete: raw.length == slots.filter(slot => slot.token).length };
+};
+
+module.exports.getCaret = (pattern, formatted, count, forward) => {
+    const slots = compile(pattern || '');
+    let position = 0;
+    while (count > 0 && position < formatted.length) {
+        if (slots[position] && slots[position].token) count--;
+        position++;
+    }
+    if (forward) {
+        while (position < formatted.length && slots[position] && slots[position].literal !== undefined) position++;
+    }
+    return position;
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+const getSeparators = module.exports.getSeparators = locale => {
+    const parts = new Intl.NumberFormat(locale).formatToParts(11111.1);
+    const find = type => (parts.find(part => part.type == type) || {}).value;
+    return { group: find('group') || ',', decimal: find('decimal') || '.' };
+};
+
+const getOptions = options => options instanceof Object ? options : {};
+
+// Accepts what people type in their locale, e.g. "1 234,56" in French, and falls back to the dot as decimal separator.
+module.exports.parseNumber = (value, locale, options) => {
+    if (typeof value == 'number') return value;
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+
+    const { group, decimal } = getSeparators(locale);
+    let text = String(value).replace(/[\s\u00a0\u202f]/g, '').replace(/\u2212/g, '-');
+    // A dot that cannot be a thousands separator, as in "1.5" or "1.50", is the decimal one.
+    const fallback = group == '.' && text.indexOf(decimal) == -1 && text.split('.').length == 2 && !/^[+-]?\d{1,3}\.\d{3}$/.test(text);
+    if (group.trim() && !fallback) text = text.split(group).join('');
+    text = text.split(decimal).join('.').replace(/[^\d.eE+-]/g, '');
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) return NaN;
+
+    const number = Number(text);
+    return getOptions(options).style == 'percent' ? number / 100 : number;
+};
+
+module.exports.formatNumber = (value, locale, options) => {
+    if (value === undefined || value === null || value === '') return '';
+    if (typeof value != 'number' || isNaN(value)) return String(value);
+    return new Intl.NumberFormat(locale, getOptions(options)).format(value);
+};
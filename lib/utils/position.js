@@ -0,0 +1,139 @@
+'use strict';
+
+const opposites = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+const directions = ['bottom', 'top', 'right', 'left'];
+
+const isVertical = direction => direction == 'top' || direction == 'bottom';
+
+// The visible area is the viewport cut by every ancestor clipping or scrolling its content.
+const getBoundary = module.exports.getBoundary = (node, padding = 0) => {
+    const root = document.documentElement;
+    const boundary = { top: 0, left: 0, right: root.clientWidth, bottom: root.clientHeight };
+    for (let parent = node.parentElement; parent && parent !== document.body && parent !== root; parent = parent.parentElement) {
+        const style = window.getComputedStyle(parent);
+        if (!/auto|scroll|hidden/.test(`${style.overflow}${style.overflowX}${style.overflowY}`)) continue;
+        const rect = parent.getBoundingClientRect();
+        boundary.top = Math.max(boundary.top, rect.top + parent.clientTop);
+        boundary.left = Math.max(boundary.left, rect.left + parent.clientLeft);
+        boundary.right = Math.min(boundary.right, rect.left + parent.clientLeft + parent.clientWidth);
+        boundary.bottom = Math.min(boundary.bottom, rect.top + parent.clientTop + parent.clientHeight);
+    }
+    return { top: boundary.top + padding, left: boundary.left + padding, right: boundary.right - padding, bottom: boundary.bottom - padding };
+};
+
+// The size of the popper includes its margins, bootstrap uses them to leave room for the arrow.
+const getSize = popper => {
+    const style = window.getComputedStyle(popper);
+    const rect = popper.getBoundingClientRect();
+    const margins = { top: parseFloat(style.marginTop) || 0, left: parseFloat(style.marginLeft) || 0, right: parseFloat(style.marginRight) || 0, bottom: parseFloat(style.marginBottom) || 0 };
+    return { width: rect.width + margins.left + margins.right, height: rect.height + margins.top + margins.bottom, margins };
+};
+
+const getCoordinates = (direction, align, target, size) => {
+    const coordinates = {};
+    if (direction == 'top') coordinates.top = target.top - size.height;
+    if (direction == 'bottom') coordinates.top = target.bottom;
+    if (direction == 'left') coordinates.left = target.left - size.width;
+    if (direction == 'right') coordinates.left = target.right;
+
+    const [start, end, length] = isVertical(direction) ? ['left', 'right', 'width'] : ['top', 'bottom', 'height'];
+    if (align == 'start') coordinates[start] = target[start];
+    else if (align == 'end') coordinates[start] = target[end] - size[length];
+    else coordinates[start] = target[start] + (target[length] - size[length]) / 2;
+    return coordinates;
+};
+
+const getSpace = (direction, target, boundary) => {
+    switch (direction) {
+        case 'top': return target.top - boundary.top;
+        case 'bottom': return boundary.bottom - target.bottom;
+        case 'left': return target.left - boundary.left;
+        case 'right': return boundary.right - target.right;
+    }
+};
+
+const fits = (direction, target, size, boundary) => getSpace(direction, target, boundary) >= (isVertical(direction) ? size.height : size.width);
+
+module.exports.getPlacement = (target, popper, { direction = 'auto', align = 'center', flip = true, shift = true, padding = 4 } = {}) => {
+    const boundary = getBoundary(target, padding);
+    const rect = target.getBoundingClientRect();
+    const size = getSize(popper);
+
+    if (direction == 'auto') {
+        direction = directions.find(direction => fits(direction, rect, size, boundary))
+            || directions.reduce((best, direction) => getSpace(direction, rect, boundary) > getSpace(best, rect, boundary) ? direction : best);
+    } else if (flip && !fits(direction, rect, size, boundary)) {
+        const opposite = opposites[direction];
+        if (fits(opposite, rect, size, boundary) || getSpace(opposite, rect, boundary) > getSpace(direction, rect, boundary)) direction = opposite;
+    }
+
+    const coordinates = getCoordinates(direction, align, rect, size);
+    if (shift) {
+        const [start, end, length] = isVertical(direction) ? ['left', 'right', 'width'] : ['top', 'bottom', 'height'];
+        coordinates[start] = Math.max(boundary[start], Math.min(coordinates[start], boundary[end] - size[length]));
+    }
+    return { direction, top: coordinates.top, left: coordinates.left, target: rect, size };
+};
+
+// Absolute coordinates are relative to the padding box of the offset parent, or to the document.
+const toOffset = (popper, coordinates) => {
+    const parent = popper.offsetParent;
+    if (!parent || (parent === document.body && window.getComputedStyle(parent).position == 'static')) {
+        return { top: coordinates.top + window.pageYOffset, left: coordinates.left + window.pageXOffset };
+    }
+    const rect = parent.getBoundingClientRect();
+    return {
+        top: coordinates.top - rect.top - parent.clientTop + parent.scrollTop,
+        left: coordinates.left - rect.left - parent.clientLeft + parent.scrollLeft,
+    };
+};
+
+// Points the arrow at the middle of the target, without leaving the edges of the popper.
+const setArrow = (arrow, direction, placement) => {
+    const { target, size } = placement;
+    const style = window.getComputedStyle(arrow);
+    const [start, length, margin] = isVertical(direction) ? ['left', 'width', 'marginLeft'] : ['top', 'height', 'marginTop'];
+    const popperStart = placement[start] + size.margins[start];
+    const popperLength = size[length] - size.margins[start] - size.margins[start == 'left' ? 'right' : 'bottom'];
+    const arrowLength = isVertical(direction) ? arrow.offsetWidth : arrow.offsetHeight;
+    const offset = target[start] + target[length] / 2 - popperStart - arrowLength / 2;
+    const edge = parseFloat(style[margin]) || 0;
+
+    arrow.style.top = arrow.style.left = '';
+    arrow.style[start] = `${Math.max(0, Math.min(offset - edge, popperLength - arrowLength - 2 * edge))}px`;
+};
+
+module.exports.position = (target, popper, options = {}) => {
+    if (!target || !popper) return null;
+    // Measured at the origin, the popper would otherwise shrink against the edge of its offset parent.
+    popper.style.top = popper.style.left = '0px';
+    popper.style.right = popper.style.bottom = 'auto';
+    const placement = module.exports.getPlacement(target, popper, options);
+    const offset = toOffset(popper, placement);
+
+    popper.style.top = `${offset.top}px`;
+    popper.style.left = `${offset.left}px`;
+
+    const arrow = Array.prototype.find.call(popper.children, child => child.classList.contains('arrow'));
+    if (arrow) setArrow(arrow, placement.direction, placement);
+    return placement.direction;
+};
+
+// Calls back once per frame while the page or any scroll container scrolls, or the window is resized.
+module.exports.observe = callback => {
+    let frame = null;
+    const schedule = () => {
+        if (frame === null) frame = window.requestAnimationFrame(() => {
+            frame = null;
+            callback();
+        });
+    };
+
+    window.addEventListener('resize', schedule);
+    document.addEventListener('scroll', schedule, true);
+    return () => {
+        if (frame !== null) window.cancelAnimationFrame(frame);
+        window.removeEventListener('resize', schedule);
+        document.removeEventListener('scroll', schedule, true);
+    };
+};
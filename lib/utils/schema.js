@@ -0,0 +1,82 @@
+'use strict';
+
+const formats = { email: 'email', uri: 'url', url: 'url', date: 'date', 'date-time': 'datetime-local', time: 'time', color: 'color' };
+
+const getType = module.exports.getType = schema => {
+    if (!schema) return 'string';
+    if (Array.isArray(schema.type)) return schema.type.find(type => type != 'null') || 'string';
+    if (schema.type) return schema.type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+    return 'string';
+};
+
+const getDefaults = module.exports.getDefaults = schema => {
+    if (!schema) return undefined;
+    if (schema.default !== undefined) return schema.default;
+    switch (getType(schema)) {
+        case 'object':
+            return Object.keys(schema.properties || {}).reduce((values, key) => {
+                const value = getDefaults(schema.properties[key]);
+                if (value !== undefined) values[key] = value;
+                return values;
+            }, {});
+        case 'array': return [];
+    }
+    return undefined;
+};
+
+module.exports.getOrder = (schema, uiSchema = {}) => {
+    const keys = Object.keys(schema.properties || {});
+    const order = uiSchema['ui:order'];
+    if (!order) return keys;
+
+    const rest = keys.filter(key => order.indexOf(key) == -1);
+    return order.reduce((ordered, key) => {
+        if (key == '*') return ordered.concat(rest);
+        if (keys.indexOf(key) != -1) ordered.push(key);
+        return ordered;
+    }, []);
+};
+
+module.exports.getWidget = (schema, uiSchema = {}) => {
+    if (uiSchema['ui:widget']) return uiSchema['ui:widget'];
+    const type = getType(schema);
+    if (schema.enum) return 'select';
+    if (type == 'boolean') return 'checkbox';
+    if (type == 'number' || type == 'integer') return 'number';
+    if (formats[schema.format]) return formats[schema.format];
+    if (schema.maxLength > 255) return 'textarea';
+    return 'text';
+};
+
+module.exports.getOptions = schema => {
+    return (schema.enum || []).map((value, index) => ({
+        value,
+        label: schema.enumNames && schema.enumNames[index] !== undefined ? schema.enumNames[index] : String(value),
+    }));
+};
+
+module.exports.getRules = (schema, required) => {
+    const type = getType(schema);
+    const rules = { required: !!required };
+    if (schema.minLength !== undefined) rules.minLength = schema.minLength;
+    if (schema.maxLength !== undefined) rules.maxLength = schema.maxLength;
+    if (schema.pattern !== undefined) rules.pattern = new RegExp(schema.pattern);
+    if (schema.minimum !== undefined) rules.min = schema.minimum;
+    if (schema.maximum !== undefined) rules.max = schema.maximum;
+    if (schema.format == 'date' && schema.formatMinimum !== undefined) rules.min = schema.formatMinimum;
+    if (schema.format == 'date' && schema.formatMaximum !== undefined) rules.max = schema.formatMaximum;
+    if (type == 'number' || type == 'integer') rules.type = 'number';
+    else if (formats[schema.format] == 'email' || formats[schema.format] == 'url') rules.type = formats[schema.format];
+    return rules;
+};
+
+module.exports.parse = (schema, value) => {
+    const type = getType(schema);
+    if (value === '' || value === undefined || value === null) return value;
+    if (type == 'number') return Number(value);
+    if (type == 'integer') return parseInt(value, 10);
+    if (type == 'boolean') return value === true || value === 'true';
+    return value;
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+// Folds case and accents character by character so indexes in the folded text match the original one.
+const fold = module.exports.fold = text => {
+    return Array.from(String(text === undefined || text === null ? '' : text)).map(char => {
+        return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || char;
+    }).join('');
+};
+
+const find = module.exports.find = (text, query) => {
+    if (!query) return -1;
+    return fold(text).indexOf(fold(query));
+};
+
+module.exports.split = (text, query) => {
+    text = String(text === undefined || text === null ? '' : text);
+    const index = find(text, query);
+    if (index == -1) return [text];
+    const length = Array.from(query).length;
+    const chars = Array.from(text);
+    return [chars.slice(0, index).join(''), chars.slice(index, index + length).join(''), chars.slice(index + length).join('')];
+};
+
+module.exports.toOption = option => {
+    if (option instanceof Object) return Object.assign({}, option, { label: option.label !== undefined ? option.label : String(option.value) });
+    return { value: option, label: String(option) };
+};
+
+module.exports.filterOptions = (options, query) => {
+    if (!query) return options;
+    return options.filter(option => typeof option.label == 'string' ? find(option.label, query) != -1 : find(option.value, query) != -1);
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+// Persistence adapters expose load() and save(items), either may return a promise.
+// subscribe(callback) is optional and reports changes made elsewhere, in another tab for instance.
+
+module.exports.local = (key, storage) => ({
+    load: () => {
+        try {
+            const items = JSON.parse((storage || window.localStorage).getItem(key));
+            return Array.isArray(items) ? items : [];
+        } catch (error) {
+            return [];
+        }
+    },
+    // Private browsing or a full quota must not break the page, the history is only kept in memory then.
+    save: items => {
+        try {
+            (storage || window.localStorage).setItem(key, JSON.stringify(items));
+        } catch (error) {}
+    },
+    subscribe: callback => {
+        const onStorage = event => {
+            if (event.key === key) callback(module.exports.local(key, storage).load());
+        };
+        window.addEventListener('storage', onStorage);
+        return () => window.removeEventListener('storage', onStorage);
+    },
+});
+
+module.exports.memory = (items = []) => ({
+    load: () => items,
+    save: next => items = next,
+});
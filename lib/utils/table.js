@@ -0,0 +1,72 @@
+'use strict';
+
+const getValue = module.exports.getValue = (row, column) => {
+    if (column.value instanceof Function) return column.value(row);
+    return row[column.key];
+};
+
+const getText = module.exports.getText = (row, column) => {
+    const value = getValue(row, column);
+    if (column.format instanceof Function) return String(column.format(value, row));
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toLocaleString();
+    return String(value);
+};
+
+const compare = module.exports.compare = (a, b) => {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    if (typeof a == 'number' && typeof b == 'number') return a - b;
+    if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+module.exports.getOptions = (rows, column) => {
+    if (column.options) return column.options;
+    const values = rows.map(row => getValue(row, column)).filter(value => value !== null && value !== undefined);
+    return values.filter((value, index) => values.indexOf(value) == index).sort(compare);
+};
+
+module.exports.toggleSort = (sort, key, multiple) => {
+    sort = sort || [];
+    const current = sort.find(item => item.key == key);
+    const direction = !current ? 'asc' : (current.direction == 'asc' ? 'desc' : null);
+
+    if (!multiple) return direction ? [{ key, direction }] : [];
+    if (!direction) return sort.filter(item => item.key != key);
+    if (current) return sort.map(item => item.key == key ? { key, direction } : item);
+    return [...sort, { key, direction }];
+};
+
+module.exports.sortRows = (rows, columns, sort) => {
+    const criteria = (sort || []).map(item => Object.assign({}, item, {
+        column: columns.find(column => column.key == item.key),
+    })).filter(item => item.column);
+    if (!criteria.length) return rows;
+
+    return rows.map((row, index) => ({ row, index })).sort((a, b) => {
+        for (let index = 0; index < criteria.length; index++) {
+            const { column, direction } = criteria[index];
+            const comparator = column.sort instanceof Function ? column.sort : compare;
+            const result = comparator(getValue(a.row, column), getValue(b.row, column), a.row, b.row);
+            if (result) return direction == 'desc' ? -result : result;
+        }
+        return a.index - b.index;
+    }).map(item => item.row);
+};
+
+module.exports.filterRows = (rows, columns, filters) => {
+    filters = filters || {};
+    const criteria = columns.filter(column => {
+        return column.filterable && filters[column.key] !== undefined && filters[column.key] !== null && filters[column.key] !== '';
+    });
+    if (!criteria.length) return rows;
+
+    return rows.filter(row => criteria.every(column => {
+        const query = filters[column.key];
+        if (column.filter instanceof Function) return column.filter(getValue(row, column), query, row);
+        if (column.filterable == 'select') return String(getValue(row, column)) == String(query);
+        return getText(row, column).toLowerCase().indexOf(String(query).toLowerCase()) != -1;
+    }));
+};
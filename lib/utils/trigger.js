@@ -0,0 +1,49 @@
+'use strict';
+
+// Milliseconds a finger has to stay down before a touch counts as a long press.
+module.exports.longPress = 500;
+
+module.exports.getTriggers = trigger => (Array.isArray(trigger) ? trigger : String(trigger || '').split(/[\s,]+/)).filter(item => item);
+
+module.exports.getDelay = delay => {
+    if (delay instanceof Object) return { show: delay.show || 0, hide: delay.hide || 0 };
+    return { show: delay || 0, hide: delay || 0 };
+};
+
+// Tracks what keeps an overlay open (hover, focus, click, press), it closes once none of them does.
+module.exports.Trigger = class Trigger {
+    constructor(onChange) {
+        this.sources = {};
+        this.active = false;
+        this.onChange = onChange;
+    }
+
+    is(source) {
+        return !!this.sources[source];
+    }
+
+    set(source, value, delay = 0) {
+        this.sources[source] = value;
+        const active = Object.keys(this.sources).some(key => this.sources[key]);
+        this.cancel();
+        if (active === this.active) return;
+        if (delay) this.timeout = setTimeout(() => this.apply(active), delay);
+        else this.apply(active);
+    }
+
+    reset() {
+        this.sources = {};
+        this.cancel();
+        if (this.active) this.apply(false);
+    }
+
+    apply(active) {
+        this.active = active;
+        this.onChange(active);
+    }
+
+    cancel() {
+        if (this.timeout) clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+};
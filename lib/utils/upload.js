@@ -0,0 +1,81 @@
+'use strict';
+
+const messages = module.exports.messages = {
+    accept: 'Ce type de fichier n\'est pas autorisé.',
+    maxSize: size => `Ce fichier dépasse la taille maximale de ${size}.`,
+    maxFiles: count => `Vous ne pouvez pas déposer plus de ${count} fichiers.`,
+};
+
+const units = ['o', 'Ko', 'Mo', 'Go', 'To'];
+
+const formatSize = module.exports.formatSize = (bytes, locale) => {
+    let index = 0;
+    while (bytes >= 1024 && index < units.length - 1) {
+        bytes /= 1024;
+        index++;
+    }
+    return `${new Intl.NumberFormat(locale, { maximumFractionDigits: index ? 1 : 0 }).format(bytes)} ${units[index]}`;
+};
+
+// Follows the accept attribute: extensions (".pdf"), exact MIME types and wildcards ("image/*").
+const isAccepted = module.exports.isAccepted = (file, accept) => {
+    if (!accept) return true;
+    const name = (file.name || '').toLowerCase();
+    const type = (file.type || '').toLowerCase();
+    return accept.split(',').map(item => item.trim().toLowerCase()).filter(item => item).some(item => {
+        if (item[0] == '.') return name.slice(-item.length) == item;
+        if (item.slice(-2) == '/*') return type.indexOf(item.slice(0, -1)) == 0;
+        return type == item;
+    });
+};
+
+module.exports.validateFile = (file, { accept, maxSize, messages: custom = {} } = {}, locale) => {
+    const format = (key, argument) => {
+        const message = custom[key] || messages[key];
+        return message instanceof Function ? message(argument) : message;
+    };
+    if (!isAccepted(file, accept)) return format('accept');
+    if (maxSize !== undefined && file.size > maxSize) return format('maxSize', formatSize(maxSize, locale));
+    return null;
+};
+
+const abort = () => Object.assign(new Error('Upload canceled.'), { name: 'AbortError' });
+
+const parse = request => {
+    const type = request.getResponseHeader('Content-Type') || '';
+    if (type.indexOf('json') == -1) return request.responseText;
+    try {
+        return JSON.parse(request.responseText);
+    } catch (error) {
+        return request.responseText;
+    }
+};
+
+// Creates the default transport. A transport is any function (file, { signal, onProgress(loaded, total) }) returning a promise.
+module.exports.xhr = (options = {}) => (file, { signal, onProgress } = {}) => new Promise((resolve, reject) => {
+    const { url, method = 'POST', field = 'file', headers = {}, data = {}, withCredentials = false } = options;
+    if (signal && signal.aborted) return reject(abort());
+
+    const request = new XMLHttpRequest();
+    const body = new FormData();
+    Object.keys(data).forEach(key => body.append(key, data[key]));
+    body.append(field, file, file.name);
+
+    request.open(method, url);
+    request.withCredentials = withCredentials;
+    Object.keys(headers).forEach(key => request.setRequestHeader(key, headers[key]));
+
+    request.upload.onprogress = event => {
+        if (onProgress && event.lengthComputable) onProgress(event.loaded, event.total);
+    };
+    request.onload = () => {
+        const response = parse(request);
+        if (request.status >= 200 && request.status < 300) return resolve(response);
+        reject(Object.assign(new Error(`Upload failed with status ${request.status}.`), { status: request.status, response }));
+    };
+    request.onerror = () => reject(new Error('Upload failed, the server could not be reached.'));
+    request.onabort = () => reject(abort());
+    if (signal) signal.addEventListener('abort', () => request.abort());
+
+    request.send(body);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const messages = module.exports.messages = {
+    required: 'Ce champ est obligatoire.',
+    pattern: 'Le format de ce champ est invalide.',
+    email: 'Cette adresse e-mail est invalide.',
+    url: 'Cette URL est invalide.',
+    number: 'Cette valeur doit être un nombre.',
+    min: min => `Cette valeur doit être supérieure ou égale à ${min}.`,
+    max: max => `Cette valeur doit être inférieure ou égale à ${max}.`,
+    minLength: length => `Ce champ doit contenir au moins ${length} caractères.`,
+    maxLength: length => `Ce champ doit contenir au plus ${length} caractères.`,
+    minItems: length => `Cette liste doit contenir au moins ${length} éléments.`,
+    maxItems: length => `Cette liste doit contenir au plus ${length} éléments.`,
+    enum: 'Cette valeur ne fait pas partie des choix autorisés.',
+    invalid: 'Cette valeur est invalide.',
+};
+
+const patterns = module.exports.patterns = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    url: /^[a-z][a-z\d+.-]*:\/\/[^\s]+$/i,
+};
+
+const isEmpty = module.exports.isEmpty = value => {
+    if (Array.isArray(value)) return !value.length;
+    return value === undefined || value === null || value === '' || value === false;
+};
+
+const isThenable = module.exports.isThenable = value => !!value && value.then instanceof Function;
+
+module.exports.getRules = props => {
+    const { required, pattern, min, max, minLength, maxLength, type, validate, messages } = props;
+    return { required, pattern, min, max, minLength, maxLength, type, validate, messages };
+};
+
+const compare = (value, limit) => {
+    if (limit === '' || isNaN(Number(limit)) || isNaN(Number(value))) return String(value) < String(limit) ? -1 : (String(value) > String(limit) ? 1 : 0);
+    return Number(value) - Number(limit);
+};
+
+const run = (validators, value, values, format) => {
+    for (let index = 0; index < validators.length; index++) {
+        const result = validators[index](value, values);
+        if (isThenable(result)) {
+            return result.then(error => {
+                if (error === false) return format('invalid');
+                return error || run(validators.slice(index + 1), value, values, format);
+            });
+        }
+        if (result === false) return format('invalid');
+        if (result) return result;
+    }
+    return null;
+};
+
+// Returns the first error message of the value, or a promise of it when a custom validator is asynchronous.
+module.exports.validate = (value, rules = {}, values = {}) => {
+    const format = (key, argument) => {
+        const message = (rules.messages && rules.messages[key]) || messages[key];
+        return message instanceof Function ? message(argument) : message;
+    };
+
+    if (isEmpty(value)) {
+        if (rules.required) return format('required');
+    } else {
+        const length = Array.isArray(value) ? value.length : String(value).length;
+        if (patterns[rules.type] && !patterns[rules.type].test(value)) return format(rules.type);
+        if (rules.type == 'number' && isNaN(Number(value))) return format('number');
+        if (rules.pattern) {
+            const pattern = rules.pattern instanceof RegExp ? rules.pattern : new RegExp(`^(?:${rules.pattern})$`);
+            if (!pattern.test(value)) return format('pattern');
+        }
+        if (rules.min !== undefined && rules.min !== null && compare(value, rules.min) < 0) return format('min', rules.min);
+        if (rules.max !== undefined && rules.max !== null && compare(value, rules.max) > 0) return format('max', rules.max);
+        if (rules.minLength !== undefined && length < rules.minLength) return format(Array.isArray(value) ? 'minItems' : 'minLength', rules.minLength);
+        if (rules.maxLength !== undefined && length > rules.maxLength) return format(Array.isArray(value) ? 'maxItems' : 'maxLength', rules.maxLength);
+    }
+
+    if (!rules.validate) return null;
+    return run([].concat(rules.validate), value, values, format);
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+module.exports.getOffsets = (count, size) => {
+    const offsets = new Array(count + 1);
+    offsets[0] = 0;
+    for (let index = 0; index < count; index++) {
+        offsets[index + 1] = offsets[index] + size(index);
+    }
+    return offsets;
+};
+
+const findIndex = module.exports.findIndex = (offsets, value) => {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (offsets[middle] <= value) low = middle;
+        else high = middle - 1;
+    }
+    return Math.max(0, low);
+};
+
+module.exports.getRange = (offsets, scrollTop, viewport, overscan) => {
+    const count = offsets.length - 1;
+    const total = offsets[count];
+    if (!count) return { start: 0, end: 0, before: 0, after: 0, total };
+
+    const first = findIndex(offsets, Math.max(0, scrollTop));
+    const last = findIndex(offsets, Math.max(0, scrollTop + viewport));
+    const start = Math.max(0, first - overscan);
+    const end = Math.min(count, last + overscan + 1);
+    return { start, end, before: offsets[start], after: total - offsets[end], total };
+};
+
+module.exports.getScrollOffset = (offsets, index, viewport, scrollTop, align) => {
+    index = Math.max(0, Math.min(offsets.length - 2, index));
+    const top = offsets[index];
+    const bottom = offsets[index + 1];
+    switch (align) {
+        case 'start': return top;
+        case 'end': return bottom - viewport;
+        case 'center': return top - (viewport - (bottom - top)) / 2;
+        default:
+            if (top < scrollTop) return top;
+            if (bottom > scrollTop + viewport) return bottom - viewport;
+            return scrollTop;
+    }
+};
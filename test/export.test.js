@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { escape, toCSV, toTSV } = require('../lib/utils/export');
+
+const columns = [{ key: 'name', header: 'Nom' }, { key: 'note', header: 'Note' }];
+
+test('leaves plain fields as they are', () => {
+    assert.strictEqual(escape('abc'), 'abc');
+    assert.strictEqual(escape(42), '42');
+    assert.strictEqual(escape(null), '');
+    assert.strictEqual(escape(undefined), '');
+});
+
+test('quotes fields holding the delimiter', () => {
+    assert.strictEqual(escape('a,b'), '"a,b"');
+    assert.strictEqual(escape('a,b', '\t'), 'a,b');
+    assert.strictEqual(escape('a\tb', '\t'), '"a\tb"');
+});
+
+test('doubles quotes inside quoted fields', () => {
+    assert.strictEqual(escape('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(escape('"'), '""""');
+});
+
+test('quotes fields holding line breaks', () => {
+    assert.strictEqual(escape('a\nb'), '"a\nb"');
+    assert.strictEqual(escape('a\rb'), '"a\rb"');
+    assert.strictEqual(escape('a\r\nb'), '"a\r\nb"');
+});
+
+test('quotes fields with leading or trailing spaces', () => {
+    assert.strictEqual(escape(' a'), '" a"');
+    assert.strictEqual(escape('a '), '"a "');
+    assert.strictEqual(escape('a b'), 'a b');
+});
+
+test('joins records with CRLF after a header line', () => {
+    const rows = [{ name: 'Dupont, Jean', note: 'ok' }, { name: 'Martin', note: 'line\nbreak' }];
+    assert.strictEqual(toCSV(rows, columns), 'Nom,Note\r\n"Dupont, Jean",ok\r\nMartin,"line\nbreak"');
+    assert.strictEqual(toTSV(rows, columns, { header: false }), 'Dupont, Jean\tok\r\nMartin\t"line\nbreak"');
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { memory, parse, stringify } = require('../lib/utils/history');
+
+test('parses and stringifies parameters back to the same address', () => {
+    const params = parse('?tab=2&faq&q=a%26b%3Dc');
+    assert.deepStrictEqual(params, [['tab', '2'], ['faq'], ['q', 'a&b=c']]);
+    assert.strictEqual(stringify(params), 'tab=2&faq&q=a%26b%3Dc');
+    assert.deepStrictEqual(parse('#slide=1'), [['slide', '1']]);
+    assert.deepStrictEqual(parse(''), []);
+});
+
+test('decodes plus signs as spaces in values', () => {
+    assert.deepStrictEqual(parse('q=hello+world'), [['q', 'hello world']]);
+    assert.strictEqual(memory('q=a+b%2Bc').get('q'), 'a b+c');
+});
+
+test('keeps malformed escapes as they are', () => {
+    assert.deepStrictEqual(parse('q=%ZZ&tab=1'), [['q', '%ZZ'], ['tab', '1']]);
+    assert.strictEqual(memory('q=100%&tab=1').get('tab'), '1');
+});
+
+test('sets, replaces and removes values in place', () => {
+    const history = memory('a=1&b=2');
+    history.set('a', 3);
+    assert.strictEqual(history.get('a'), '3');
+    assert.strictEqual(history.toString(), 'a=3&b=2');
+    history.set('c', 'x y');
+    assert.strictEqual(history.toString(), 'a=3&b=2&c=x%20y');
+    history.set('a', null);
+    assert.strictEqual(history.get('a'), null);
+    assert.strictEqual(history.toString(), 'b=2&c=x%20y');
+    history.set('missing', undefined);
+    assert.strictEqual(history.toString(), 'b=2&c=x%20y');
+});
+
+test('notifies subscribers of changes only', () => {
+    const history = memory('a=1');
+    let calls = 0;
+    const unsubscribe = history.subscribe(() => calls++);
+    history.set('a', 1);
+    history.set('a', '1');
+    history.set('b', null);
+    assert.strictEqual(calls, 0);
+    history.set('a', 2);
+    history.set('a', null);
+    assert.strictEqual(calls, 2);
+    unsubscribe();
+    history.set('a', 3);
+    assert.strictEqual(calls, 2);
+});